@@ -0,0 +1,4 @@
+// only used by jest to run the ES modules of src and test on node
+module.exports = {
+  presets: [["@babel/preset-env", { targets: { node: "current" } }]]
+};
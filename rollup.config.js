@@ -1,7 +1,11 @@
 import resolve from "rollup-plugin-node-resolve";
 import commonjs from "rollup-plugin-commonjs";
+import path from "path";
 import pkg from "./package.json";
 
+// the testing utilities import the published guhit entry
+const index = path.resolve("src/index.js");
+
 export default [
   {
     input: "src/index.js",
@@ -18,5 +22,21 @@ export default [
       { file: pkg.main, format: "cjs" },
       { file: pkg.module, format: "es" }
     ]
+  },
+  {
+    input: "src/testing.js",
+    external: ["agos", index],
+    output: [
+      {
+        file: "dist/testing.cjs.js",
+        format: "cjs",
+        paths: { [index]: "guhit" }
+      },
+      {
+        file: "dist/testing.esm.js",
+        format: "es",
+        paths: { [index]: "guhit" }
+      }
+    ]
   }
 ];
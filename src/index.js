@@ -33,12 +33,59 @@ export const fromEvent = (target, name, options) =>
       talkback,
       filter(payload => payload === Stream.CANCEL),
       listen(() => {
-        target.removeEventListener(name, next);
+        target.removeEventListener(name, next, options);
         done(true);
       })
     );
   });
 
+// the outcome of the settled promises, a promise that has
+// already settled is emitted synchronously upon listening
+const settlements = new WeakMap();
+
+const settle = promise =>
+  promise.then(
+    value => settlements.set(promise, { value }),
+    error => settlements.set(promise, { error, rejected: true })
+  );
+
+const isPromise = value =>
+  value !== null &&
+  (typeof value === "object" || typeof value === "function") &&
+  !(value instanceof Stream) &&
+  typeof value.then === "function";
+
+/**
+ * Observable constructor
+ * for the value of a promise
+ * @param {Promise} promise
+ * @returns {Stream}
+ */
+export const fromPromise = promise =>
+  create((open, next, fail, done, talkback) => {
+    let active = true;
+    const emit = () => {
+      if (!active) return;
+      const { value, error, rejected } = settlements.get(promise);
+      rejected ? fail(error) : next(value);
+    };
+
+    open();
+    pipe(
+      talkback,
+      filter(payload => payload === Stream.CANCEL),
+      listen(() => {
+        active = false;
+        done(true);
+      })
+    );
+
+    if (settlements.has(promise)) return emit();
+    // the boundary of the binding waits until the value is emitted
+    const emitted = settle(promise).then(emit);
+    if (binding) binding.suspend(emitted);
+  });
+
 /**
  * Observable operator that acts as a gate
  * comparing prev values to the current one
@@ -101,84 +148,877 @@ class VText extends VNode {
   }
 }
 
+// a vnode that is mounted as a stream child, connect
+// receives the scope of the parent and returns the stream
+// of vnodes together with the scope of its descendants,
+// the type and args identify the scope so that it can be
+// reused instead of connected again when diffing, connect
+// can also return an update that receives the props of
+// the vnode the scope is reused by
+class VScope extends VNode {
+  constructor(connect, type = connect, args = [], key = null, props = null) {
+    super(null);
+    this.connect = connect;
+    this.type = type;
+    this.args = args;
+    this.key = key;
+    this.props = props;
+  }
+}
+
+// a group of sibling vnodes mounted in place of a single
+// child, its children are diffed whenever it is reused
+class VFragment extends VNode {
+  constructor(children, key = null) {
+    super(null);
+    this.key = key;
+    this.children = getSafeVNodes(children);
+  }
+}
+
+// a class list is an array or an object of class names,
+// a string or a stream remains to be set as an attr
+const isClassList = value =>
+  value instanceof Array ||
+  (typeof value === "object" &&
+    value !== null &&
+    !(value instanceof Stream) &&
+    !isPromise(value));
+
+// normalize a class list into an object of class names
+// mapped to a boolean or a stream of booleans
+const getClassList = value => {
+  if (typeof value === "string")
+    return value
+      .split(/\s+/)
+      .filter(name => name)
+      .reduce((classes, name) => Object.assign(classes, { [name]: true }), {});
+  if (value instanceof Array)
+    return value.reduce(
+      (classes, item) => Object.assign(classes, getClassList(item)),
+      {}
+    );
+  if (isClassList(value)) return Object.assign({}, value);
+  return {};
+};
+
+// the promises of an object are bound as streams
+const toStreams = object =>
+  Object.keys(object).reduce(
+    (acc, key) =>
+      Object.assign(acc, {
+        [key]: isPromise(object[key]) ? fromPromise(object[key]) : object[key]
+      }),
+    {}
+  );
+
 class VElement extends VNode {
   constructor(name, props = {}, children) {
-    const { ref = null, style = {}, innerHTML = null } = props;
+    const {
+      ref = null,
+      key = null,
+      style = {},
+      innerHTML = null,
+      transition = null
+    } = props;
     super(ref);
     this.name = name;
-    this.style = style;
+    this.key = key;
+    this.transition = transition;
+    this.style = style instanceof Stream ? style : toStreams(style);
+    this.classes = {};
     this.attrs = {};
     this.events = {};
     this.innerHTML = innerHTML;
     this.children = this.innerHTML ? [] : getSafeVNodes(children);
     // somehow rest operator is not working in buble loader :( sad
-    // this should iterate props withough ref and style
+    // this should iterate props withough the ones destructured above
     Object.keys(props).forEach(key => {
       const value = props[key];
-      if (key === "ref" || key === "style") return;
+      if (["ref", "key", "style", "innerHTML", "transition"].includes(key))
+        return;
       else if (key.slice(0, 2) === "on") this.events[key.slice(2)] = value;
-      else this.attrs[key] = value;
+      else if (key === "class" && isClassList(value))
+        this.classes = toStreams(getClassList(value));
+      else this.attrs[key] = isPromise(value) ? fromPromise(value) : value;
     });
   }
 }
 
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+const MATHML_NAMESPACE = "http://www.w3.org/1998/Math/MathML";
+
+// namespaces of the prefixed attributes like xlink:href
+const ATTR_NAMESPACES = {
+  xlink: "http://www.w3.org/1999/xlink",
+  xml: "http://www.w3.org/XML/1998/namespace",
+  xmlns: "http://www.w3.org/2000/xmlns/"
+};
+
+// svg and math elements start their own namespace
+// which are then inherited by their descendants
+const getNamespace = (name, namespace) => {
+  if (name === "svg") return SVG_NAMESPACE;
+  if (name === "math") return MATHML_NAMESPACE;
+  return namespace;
+};
+
+// the content of a foreignObject is back to html
+const getChildNamespace = (name, namespace) =>
+  name === "foreignObject" ? null : namespace;
+
+const getAttrNamespace = key => {
+  const index = key.indexOf(":");
+  return index === -1 ? null : ATTR_NAMESPACES[key.slice(0, index)] || null;
+};
+
+// attrs that reflect the live state of form elements, these are
+// set as properties to stay in sync after the user interacts
+const PROPERTIES = new Set([
+  "value",
+  "checked",
+  "selected",
+  "indeterminate",
+  "muted"
+]);
+
+const isProperty = (node, key) => PROPERTIES.has(key) && key in node;
+
+// attrs that are either present or absent, the other attrs like
+// the enumerated draggable or aria-hidden keeps "true" or "false"
+const BOOLEAN_ATTRS = new Set([
+  "allowfullscreen",
+  "async",
+  "autofocus",
+  "autoplay",
+  "checked",
+  "controls",
+  "default",
+  "defer",
+  "disabled",
+  "formnovalidate",
+  "hidden",
+  "inert",
+  "ismap",
+  "itemscope",
+  "loop",
+  "multiple",
+  "muted",
+  "nomodule",
+  "novalidate",
+  "open",
+  "playsinline",
+  "readonly",
+  "required",
+  "reversed",
+  "selected"
+]);
+
+const isBooleanAttr = key => BOOLEAN_ATTRS.has(key.toLowerCase());
+
+const isRemovalAttr = (key, value) =>
+  value === null ||
+  value === undefined ||
+  (value === false && isBooleanAttr(key));
+
+const setProperty = (node, key, value) => {
+  const data =
+    value === null || value === undefined
+      ? key === "value"
+        ? ""
+        : false
+      : value;
+  // avoid resetting an equal value which moves the caret of an input
+  if (node[key] !== data) node[key] = data;
+};
+
+const setAttr = (node, key, value) => {
+  if (isProperty(node, key)) return setProperty(node, key, value);
+  if (isRemovalAttr(key, value)) return removeAttr(node, key);
+  // a true boolean attribute is present with an empty value
+  const data = value === true && isBooleanAttr(key) ? "" : value;
+  const namespace = getAttrNamespace(key);
+  if (namespace) node.setAttributeNS(namespace, key, data);
+  else node.setAttribute(key, data);
+};
+
+const removeAttr = (node, key) => {
+  if (isProperty(node, key)) setProperty(node, key, null);
+  const namespace = getAttrNamespace(key);
+  if (namespace)
+    node.removeAttributeNS(namespace, key.slice(key.indexOf(":") + 1));
+  else node.removeAttribute(key);
+};
+
+// properties whose numeric values are not lengths in pixels
+const UNITLESS_STYLES = new Set([
+  "animation-iteration-count",
+  "aspect-ratio",
+  "border-image-outset",
+  "border-image-slice",
+  "border-image-width",
+  "column-count",
+  "columns",
+  "fill-opacity",
+  "flex",
+  "flex-grow",
+  "flex-shrink",
+  "flood-opacity",
+  "font-weight",
+  "grid-area",
+  "grid-column",
+  "grid-column-end",
+  "grid-column-start",
+  "grid-row",
+  "grid-row-end",
+  "grid-row-start",
+  "line-clamp",
+  "line-height",
+  "opacity",
+  "order",
+  "orphans",
+  "scale",
+  "stop-opacity",
+  "stroke-dasharray",
+  "stroke-dashoffset",
+  "stroke-miterlimit",
+  "stroke-opacity",
+  "stroke-width",
+  "tab-size",
+  "widows",
+  "z-index",
+  "zoom"
+]);
+
+const IMPORTANT = /\s*!important\s*$/;
+
+// style keys can be camel or kebab cased, a
+// custom property like --accent is kept as is
+const getStyleName = key => {
+  if (key.slice(0, 2) === "--") return key;
+  if (key === "cssFloat") return "float";
+  return key
+    .replace(/^ms(?=[A-Z])/, "-ms")
+    .replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+};
+
+const getStyleValue = (name, value) =>
+  typeof value === "number" &&
+  value !== 0 &&
+  name.slice(0, 2) !== "--" &&
+  !UNITLESS_STYLES.has(name.replace(/^-(webkit|moz|ms|o)-/, ""))
+    ? `${value}px`
+    : `${value}`;
+
+const setStyle = (node, key, value) => {
+  const name = getStyleName(key);
+  if (value === null || value === undefined || value === false)
+    return node.style.removeProperty(name);
+  const text = getStyleValue(name, value);
+  if (IMPORTANT.test(text))
+    node.style.setProperty(name, text.replace(IMPORTANT, ""), "important");
+  else node.style.setProperty(name, text);
+};
+
+const removeStyle = (node, key) => node.style.removeProperty(getStyleName(key));
+
+// bubbling events that are handled by a single listener on the root
+const DELEGATED_EVENTS = new Set([
+  "click",
+  "dblclick",
+  "contextmenu",
+  "mousedown",
+  "mouseup",
+  "mousemove",
+  "mouseover",
+  "mouseout",
+  "pointerdown",
+  "pointerup",
+  "pointermove",
+  "pointerover",
+  "pointerout",
+  "keydown",
+  "keyup",
+  "keypress",
+  "input",
+  "beforeinput",
+  "change",
+  "submit",
+  "focusin",
+  "focusout",
+  "dragstart",
+  "drag",
+  "dragend",
+  "dragenter",
+  "dragleave",
+  "dragover",
+  "drop",
+  "copy",
+  "cut",
+  "paste"
+]);
+
+// a delegator has a single listener per event on the root which
+// dispatches the event to the handlers of the nodes along its path
+const createDelegator = root => {
+  const listeners = new Map();
+
+  const add = (node, name, handler) => {
+    if (!listeners.has(name)) {
+      const handlers = new Map();
+      const dispatch = event => {
+        let current = event.target;
+        while (current && current !== root && !event.cancelBubble) {
+          const handler = handlers.get(current);
+          if (handler) {
+            Object.defineProperty(event, "currentTarget", {
+              configurable: true,
+              value: current
+            });
+            handler(event);
+          }
+          current = current.parentNode;
+        }
+      };
+      root.addEventListener(name, dispatch);
+      listeners.set(name, { handlers, dispatch });
+    }
+
+    const listener = listeners.get(name);
+    listener.handlers.set(node, handler);
+
+    return () => {
+      listener.handlers.delete(node);
+      if (listener.handlers.size) return;
+      root.removeEventListener(name, listener.dispatch);
+      listeners.delete(name);
+    };
+  };
+
+  return { add };
+};
+
+// an event prop is either the handler or an object of the
+// handler along with the capture, passive and once options
+const getListener = event => {
+  if (typeof event === "function") return { handler: event, options: null };
+  const { handler, capture = false, passive = false, once = false } = event;
+  return { handler, options: { capture, passive, once } };
+};
+
+// the namespace of the children mounted directly on a parent node
+const getParentNamespace = parent =>
+  parent.namespaceURI === SVG_NAMESPACE ||
+  parent.namespaceURI === MATHML_NAMESPACE
+    ? getChildNamespace(parent.nodeName, parent.namespaceURI)
+    : null;
+
+// throw an error out of the current task, an error thrown inside of a
+// promise callback would otherwise end up as an unhandled rejection
+const reportError = error =>
+  setTimeout(() => {
+    throw error;
+  });
+
+// a scheduler decides when the emissions of stream bindings are
+// applied on the DOM, the pending updates are coalesced per binding
+// so only the latest emission of a binding is applied on a flush
+export const createScheduler = request => {
+  const tasks = new Map();
+  let requested = false;
+
+  // a task cancelled by an earlier task in the same flush never runs
+  // while the tasks scheduled during the flush runs on the same pass,
+  // a throwing task does not stop the rest and is thrown at the end
+  const flush = () => {
+    let failure = null;
+    requested = false;
+    tasks.forEach((task, binding) => {
+      tasks.delete(binding);
+      try {
+        task();
+      } catch (error) {
+        if (!failure) failure = { error };
+      }
+    });
+    if (failure) throw failure.error;
+  };
+
+  const schedule = (binding, task) => {
+    tasks.set(binding, task);
+    if (requested) return;
+    requested = true;
+    request(flush);
+  };
+
+  const cancel = binding => tasks.delete(binding);
+
+  return { schedule, cancel, flush };
+};
+
+export const syncScheduler = {
+  schedule: (binding, task) => task(),
+  cancel: () => {},
+  flush: () => {}
+};
+
+export const microtaskScheduler = createScheduler(flush =>
+  Promise.resolve()
+    .then(flush)
+    .catch(reportError)
+);
+
+export const frameScheduler = createScheduler(flush =>
+  typeof requestAnimationFrame === "function"
+    ? requestAnimationFrame(flush)
+    : setTimeout(flush, 16)
+);
+
+// the scope is the state inherited by every descendant of a
+// mounted subtree, a parent is absent when rendering on the server
+const createScope = (
+  parent,
+  { scheduler = syncScheduler, delegate = true, sheets = null } = {}
+) => ({
+  server: !parent,
+  sheets, // the collected css classes of a server render
+  scheduler,
+  delegator: parent && delegate ? createDelegator(parent) : null,
+  contexts: new Map(), // values provided to the descendants
+  bindings: new Set(), // the listened stream bindings of the mount
+  namespace: parent ? getParentNamespace(parent) : null,
+  // failures without an error boundary are thrown
+  fail: error => {
+    throw error instanceof Error ? error : new Error(error);
+  },
+  // pending promises without a suspense boundary are not waited
+  suspend: () => {},
+  boundary: null,
+  router: null // the history and the matched path of the routes
+});
+
+// state of the running hydration, this is only set synchronously
+// while hydrate is mounting the tree or while a pending stream child
+// adopts the server rendered nodes kept for its first emission
+let hydration = null;
+
+// comments are not rendered from vnodes so they are never adopted
+const getClaimableNode = node => {
+  while (node && node.nodeType === 8) node = node.nextSibling;
+  return node;
+};
+
+const getHydrationCursor = parent =>
+  (hydration && hydration.cursors.get(parent)) || null;
+
+// the claimable node after a node, a pending stream child
+// only adopts from the nodes that were kept for it
+const getNextClaimable = (parent, node) => {
+  const next = getClaimableNode(node.nextSibling);
+  const bound = hydration.bounds.get(parent);
+  return next && (!bound || bound.has(next)) ? next : null;
+};
+
+const isClaimable = (node, vnode) =>
+  (vnode instanceof VText && node.nodeType === 3) ||
+  (vnode instanceof VElement &&
+    node.nodeType === 1 &&
+    node.nodeName.toLowerCase() === vnode.name.toLowerCase());
+
+// adopt the server rendered node under the cursor of the
+// parent being hydrated, a mismatching node is discarded
+const claimNode = vnode => {
+  const parents = hydration.parents;
+  const parent = parents[parents.length - 1];
+  let node = getHydrationCursor(parent);
+  const advance = () =>
+    hydration.cursors.set(parent, getNextClaimable(parent, node));
+
+  // the children of a newly created node has nothing to adopt
+  if (!hydration.cursors.has(parent)) return null;
+  // an empty text is never rendered by the server
+  if (vnode instanceof VText && vnode.text === "") return null;
+
+  // the nodes rendered by a pending stream child are skipped
+  // over and kept until the stream emits for the first time
+  const pendings = hydration.pendings.get(parent);
+  if (pendings && node && !isClaimable(node, vnode)) {
+    let found = getNextClaimable(parent, node);
+    while (found && !isClaimable(found, vnode))
+      found = getNextClaimable(parent, found);
+    if (found) {
+      const pending = pendings[pendings.length - 1];
+      for (let skipped = node; skipped !== found; skipped = skipped.nextSibling)
+        pending.nodes.push(skipped);
+      node = found;
+    }
+  }
+
+  if (vnode instanceof VText && node && node.nodeType === 3) {
+    // adjacent texts are merged into a single text node on the server
+    if (node.data !== vnode.text && node.data.startsWith(vnode.text))
+      node.splitText(vnode.text.length);
+    else if (node.data !== vnode.text) {
+      hydration.mismatches.push({ parent, node, vnode });
+      node.data = vnode.text;
+    }
+    advance();
+    return node;
+  }
+
+  if (node && isClaimable(node, vnode)) {
+    advance();
+    // the content of an innerHTML is set as a whole, nothing is adopted
+    if (!(vnode instanceof VElement && vnode.innerHTML))
+      hydration.adopted.add(node);
+    return node;
+  }
+
+  hydration.mismatches.push({ parent, node, vnode });
+  if (node) {
+    advance();
+    parent.removeChild(node);
+  }
+  return null;
+};
+
+// the nodes left under the cursor of a parent are kept for its last
+// pending stream child, without one the nodes are discarded
+const releaseCursor = parent => {
+  const pendings = hydration.pendings.get(parent);
+  let node = getHydrationCursor(parent);
+  while (node) {
+    const next = getNextClaimable(parent, node);
+    if (pendings) pendings[pendings.length - 1].nodes.push(node);
+    else {
+      hydration.mismatches.push({ parent, node, vnode: null });
+      parent.removeChild(node);
+    }
+    node = next;
+  }
+  hydration.pendings.delete(parent);
+  hydration.cursors.delete(parent);
+};
+
+// register a stream child that has not emitted while hydrating
+const deferHydration = () => {
+  const parent = hydration.parents[hydration.parents.length - 1];
+  if (!hydration.cursors.has(parent)) return null;
+  const pending = {
+    parent,
+    nodes: [], // the server rendered nodes kept for the stream
+    adopted: hydration.adopted,
+    mismatches: hydration.mismatches
+  };
+  if (!hydration.pendings.has(parent)) hydration.pendings.set(parent, []);
+  hydration.pendings.get(parent).push(pending);
+  return pending;
+};
+
+// run the first emission of a pending stream child
+// as a hydration bounded by the nodes kept for it
+const hydratePending = (pending, run) => {
+  const { parent } = pending;
+  const nodes = pending.nodes.filter(node => node.parentNode === parent);
+  const previous = hydration;
+  hydration = {
+    parents: [parent],
+    cursors: new Map([
+      [parent, nodes.find(node => node.nodeType !== 8) || null]
+    ]),
+    bounds: new Map([[parent, new Set(nodes)]]),
+    pendings: new Map(),
+    adopted: pending.adopted,
+    mismatches: pending.mismatches
+  };
+  try {
+    run();
+    releaseCursor(parent);
+  } finally {
+    hydration = previous;
+  }
+};
+
+// discard the kept nodes of a stream child unmounted before emitting
+const discardPending = ({ parent, nodes, mismatches }) =>
+  nodes.forEach(node => {
+    if (node.parentNode !== parent) return;
+    if (node.nodeType !== 8) mismatches.push({ parent, node, vnode: null });
+    parent.removeChild(node);
+  });
+
+// run the function after the next paint
+const nextFrame = fn =>
+  typeof requestAnimationFrame === "function"
+    ? requestAnimationFrame(() => requestAnimationFrame(fn))
+    : setTimeout(fn, 16);
+
+// the longest css transition or animation of a node in milliseconds
+const getTransitionTimeout = node => {
+  const style = window.getComputedStyle(node);
+  const toTimes = value => value.split(",").map(time => parseFloat(time) || 0);
+  const getTimeout = (durations, delays) => {
+    const delayTimes = toTimes(delays);
+    const times = toTimes(durations).map(
+      (duration, index) => duration + delayTimes[index % delayTimes.length]
+    );
+    return Math.max(0, ...times) * 1000;
+  };
+  return Math.max(
+    getTimeout(style.transitionDuration || "", style.transitionDelay || ""),
+    getTimeout(style.animationDuration || "", style.animationDelay || "")
+  );
+};
+
+// wait for the result of a javascript hook, a promise or the first
+// emission of a stream, otherwise for the css transition of the node
+const waitTransition = (result, node, done) => {
+  if (result && typeof result.then === "function")
+    return result.then(done, done);
+  if (result instanceof Stream)
+    return pipe(
+      result,
+      take(1),
+      listen({ next: () => done(), done: () => done() })
+    );
+  setTimeout(done, getTransitionTimeout(node));
+};
+
+// the running transition of a node, a new phase cancels the previous
+const transitions = new WeakMap();
+
+// run the enter or leave phase of a transition, the css classes
+// are named after the phase like fade-enter, fade-enter-active and
+// fade-enter-to while the hook of the phase receives the node
+const runTransition = (node, transition, phase, done) => {
+  const { name = null } =
+    typeof transition === "string" ? { name: transition } : transition;
+  const hook = typeof transition === "string" ? null : transition[phase];
+  const from = `${name}-${phase}`;
+  const active = `${name}-${phase}-active`;
+  const to = `${name}-${phase}-to`;
+  let finished = false;
+
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    transitions.delete(node);
+    if (name) node.classList.remove(from, active, to);
+    done();
+  };
+
+  const cancel = transitions.get(node);
+  if (cancel) cancel();
+  transitions.set(node, () => {
+    finished = true;
+    if (name) node.classList.remove(from, active, to);
+  });
+
+  if (name) node.classList.add(from, active);
+  const result = hook ? hook(node) : undefined;
+  nextFrame(() => {
+    if (finished) return;
+    if (name) {
+      node.classList.remove(from);
+      node.classList.add(to);
+    }
+    waitTransition(result, node, finish);
+  });
+};
+
 const createText = vtext => document.createTextNode(vtext.text);
 
-const createElement = velement => document.createElement(velement.name);
+const createElement = (velement, namespace) =>
+  namespace
+    ? document.createElementNS(namespace, velement.name)
+    : document.createElement(velement.name);
 
-const createNode = vnode => {
+const createNode = (vnode, namespace) => {
+  const claimed = hydration && claimNode(vnode);
+  if (claimed) return claimed;
   if (vnode instanceof VText) return createText(vnode);
-  if (vnode instanceof VElement) return createElement(vnode);
+  if (vnode instanceof VElement) return createElement(vnode, namespace);
   throw new Error("Cannot create node, invalid vnode");
 };
 
-const mountNodeAttrs = (attrs, unmounts, node) => {
+// the scope of the binding that is being listened, a promise
+// stream listened synchronously suspends the boundary of it
+let binding = null;
+
+// listen to a stream bound on the DOM, the emissions while listening
+// are applied at once so the initial values are there upon mounting
+// and the later emissions are applied through the scheduler, the
+// source describes the binding to the devtools when they are enabled
+const listenBinding = (stream, apply, cancel, scope, source) => {
+  let listening = true;
+  scope.bindings.add(cancel);
+  if (devtools) devtools.bind(cancel, source);
+  const run = data => {
+    try {
+      if (devtools && !listening) devtools.update(source, data, apply);
+      else apply(data);
+    } catch (error) {
+      scope.fail(error);
+    }
+  };
+
+  const parent = binding;
+  binding = scope;
+  try {
+    pipe(
+      stream,
+      listen(
+        {
+          next: data =>
+            listening
+              ? run(data)
+              : scope.scheduler.schedule(cancel, () => run(data)),
+          fail: scope.fail
+        },
+        cancel
+      )
+    );
+  } finally {
+    listening = false;
+    binding = parent;
+  }
+};
+
+// cancel a binding including its pending update on the scheduler
+const cancelBinding = (cancel, scope) => {
+  scope.bindings.delete(cancel);
+  if (devtools) devtools.unbind(cancel);
+  cancel.run();
+  scope.scheduler.cancel(cancel);
+};
+
+const mountNodeAttrs = (attrs, unmounts, node, scope) => {
   Object.keys(attrs).forEach(key => {
     const attr = attrs[key];
     if (attr === null || attr === undefined) return;
-    if (!(attr instanceof Stream)) return node.setAttribute(key, attr);
+    if (!(attr instanceof Stream)) return setAttr(node, key, attr);
     const cancel = CancelInterceptor.join(empty());
-    unmounts.set(key, () => cancel.run());
-    pipe(
-      attr,
-      distinct(),
-      listen(data => node.setAttribute(key, data), cancel)
+    unmounts.set(key, () => cancelBinding(cancel, scope));
+    listenBinding(
+      pipe(attr, distinct()),
+      data => setAttr(node, key, data),
+      cancel,
+      scope,
+      { kind: "attr", key, node }
     );
   });
 };
 
-const mountNodeStyle = (style, unmounts, node) => {
+const mountNodeStyle = (style, unmounts, node, scope) => {
+  if (style instanceof Stream)
+    return mountNodeStyleStream(style, unmounts, node, scope);
   Object.keys(style).forEach(key => {
     const value = style[key];
     if (value === null || value === undefined) return;
-    if (!(value instanceof Stream)) return (node.style[key] = value);
+    if (!(value instanceof Stream)) return setStyle(node, key, value);
     const cancel = CancelInterceptor.join(empty());
-    unmounts.set(key, () => cancel.run());
-    pipe(
-      value,
-      distinct(),
-      listen(data => (node.style[key] = data), cancel)
+    unmounts.set(key, () => cancelBinding(cancel, scope));
+    listenBinding(
+      pipe(value, distinct()),
+      data => setStyle(node, key, data),
+      cancel,
+      scope,
+      { kind: "style", key, node }
+    );
+  });
+};
+
+// a stream of style objects is diffed against its previous emission,
+// the binding is kept under the stream and removes the keys it has
+// set only when it is unmounted with the remove flag
+const mountNodeStyleStream = (stream, unmounts, node, scope) => {
+  let prev = {};
+  const cancel = CancelInterceptor.join(empty());
+  unmounts.set(stream, remove => {
+    cancelBinding(cancel, scope);
+    if (remove) Object.keys(prev).forEach(key => removeStyle(node, key));
+  });
+  listenBinding(
+    stream,
+    data => {
+      const latest = data || {};
+      const [left, right] = diffObject(prev, latest);
+      Object.keys(left).forEach(
+        key => !(key in latest) && removeStyle(node, key)
+      );
+      Object.keys(right).forEach(key => setStyle(node, key, right[key]));
+      prev = latest;
+    },
+    cancel,
+    scope,
+    { kind: "style", key: null, node }
+  );
+};
+
+const mountNodeClasses = (classes, unmounts, node, scope) => {
+  Object.keys(classes).forEach(name => {
+    const value = classes[name];
+    // the rules of a css class are kept while it is mounted
+    const sheet =
+      value instanceof CssSheet ? value : styleSheets.get(name) || null;
+    const release = sheet && acquireStyleSheet(sheet);
+    if (!(value instanceof Stream)) {
+      if (release) unmounts.set(name, release);
+      return node.classList.toggle(name, Boolean(value));
+    }
+    const cancel = CancelInterceptor.join(empty());
+    unmounts.set(name, () => {
+      cancelBinding(cancel, scope);
+      if (release) release();
+    });
+    listenBinding(
+      pipe(value, distinct()),
+      data => node.classList.toggle(name, Boolean(data)),
+      cancel,
+      scope,
+      { kind: "class", key: name, node }
     );
   });
 };
 
-const mountNodeEvents = (events, unmounts, node) => {
+const mountNodeEvents = (events, unmounts, node, scope) => {
   Object.keys(events).forEach(key => {
     const event = events[key];
     if (event === null || event === undefined) return;
-    if (typeof event !== "function") return;
+    const { handler, options } = getListener(event);
+    if (typeof handler !== "function") return;
+    const run = data => {
+      try {
+        handler(data);
+      } catch (error) {
+        scope.fail(error);
+      }
+    };
+
+    // a listener with options is always attached on the node itself
+    if (scope.delegator && !options && DELEGATED_EVENTS.has(key))
+      return unmounts.set(key, scope.delegator.add(node, key, run));
+
     const cancel = CancelInterceptor.join(empty());
     unmounts.set(key, () => cancel.run());
-    pipe(
-      fromEvent(node, key),
-      listen(data => event(data), cancel)
-    );
+    pipe(fromEvent(node, key, options), listen(run, cancel));
   });
 };
 
 const unmountNodeAttrs = (attrs, unmounts, node) => {
   Object.keys(attrs).forEach(key => {
-    node.removeAttribute(key);
+    removeAttr(node, key);
+    const unmount = unmounts.get(key);
+    if (unmount) {
+      unmount();
+      unmounts.delete(key);
+    }
+  });
+};
+
+// cancel the attr streams without removing the attrs
+const cancelNodeAttrs = (attrs, unmounts) => {
+  Object.keys(attrs).forEach(key => {
     const unmount = unmounts.get(key);
     if (unmount) {
       unmount();
@@ -188,8 +1028,14 @@ const unmountNodeAttrs = (attrs, unmounts, node) => {
 };
 
 const unmountNodeStyle = (style, unmounts, node) => {
+  if (style instanceof Stream) {
+    const unmount = unmounts.get(style);
+    if (unmount) unmount(true);
+    unmounts.delete(style);
+    return;
+  }
   Object.keys(style).forEach(key => {
-    node.style.removeProperty(key);
+    removeStyle(node, key);
     const unmount = unmounts.get(key);
     if (unmount) {
       unmount();
@@ -198,6 +1044,17 @@ const unmountNodeStyle = (style, unmounts, node) => {
   });
 };
 
+const unmountNodeClasses = (classes, unmounts, node) => {
+  Object.keys(classes).forEach(name => {
+    node.classList.remove(name);
+    const unmount = unmounts.get(name);
+    if (unmount) {
+      unmount();
+      unmounts.delete(name);
+    }
+  });
+};
+
 const unmountNodeEvents = (events, unmounts) => {
   Object.keys(events).forEach(key => {
     const unmount = unmounts.get(key);
@@ -208,16 +1065,21 @@ const unmountNodeEvents = (events, unmounts) => {
   });
 };
 
-const mountNodeProps = (velement, unmounts, node) => {
-  mountNodeAttrs(velement.attrs, unmounts.attrs, node);
-  mountNodeStyle(velement.style, unmounts.style, node);
-  mountNodeEvents(velement.events, unmounts.events, node);
+const mountNodeProps = (velement, unmounts, node, scope) => {
+  mountNodeAttrs(velement.attrs, unmounts.attrs, node, scope);
+  mountNodeStyle(velement.style, unmounts.style, node, scope);
+  mountNodeClasses(velement.classes, unmounts.classes, node, scope);
+  mountNodeEvents(velement.events, unmounts.events, node, scope);
   if (velement.innerHTML) node.innerHTML = velement.innerHTML;
 };
 
-const unmountNodeProps = (velement, unmounts, node) => {
-  unmountNodeAttrs(velement.attrs, unmounts.attrs, node);
-  unmountNodeStyle(velement.style, unmounts.style, node);
+// a removed node keeps its attrs and style, its streams are only
+// cancelled so that a leaving transition still has its styling
+const cancelNodeProps = (velement, unmounts) => {
+  cancelNodeAttrs(velement.attrs, unmounts.attrs);
+  unmounts.style.forEach(unmount => unmount());
+  unmounts.style.clear();
+  cancelNodeAttrs(velement.classes, unmounts.classes);
   unmountNodeEvents(velement.events, unmounts.events);
 };
 
@@ -226,29 +1088,122 @@ const createChildText = vtext => {
   return { vnode: vtext, node };
 };
 
-const createChildElement = velement => {
-  const node = createNode(velement);
-  const unmounts = { attrs: new Map(), style: new Map(), events: new Map() };
-  mountNodeProps(velement, unmounts, node);
+// the props of an adopted node as rendered by the server, the
+// classes and the style are compared by their parsed values
+const readHydratedProps = (node, velement) => {
+  const props = {};
+  Array.from(node.attributes).forEach(({ name, value }) => {
+    props[name] = value;
+  });
+  props.class = Array.from(node.classList)
+    .sort()
+    .join(" ");
+  if (node.style) props.style = node.style.cssText;
+  if (velement.innerHTML) props.innerHTML = node.innerHTML;
+  return props;
+};
+
+// report the props of an adopted node that are overwritten by the vnode
+const reportHydratedProps = (props, velement, node) => {
+  const latest = readHydratedProps(node, velement);
+  const names = Object.keys(Object.assign({}, props, latest)).filter(
+    name => props[name] !== latest[name]
+  );
+  if (names.length)
+    hydration.mismatches.push({
+      parent: node.parentNode,
+      node,
+      vnode: velement,
+      props: names
+    });
+};
+
+const createChildElement = (velement, scope) => {
+  const namespace = getNamespace(velement.name, scope.namespace);
+  const node = createNode(velement, namespace);
+  // only a node adopted from the server is already attached
+  const hydrated =
+    hydration && node.parentNode ? readHydratedProps(node, velement) : null;
+  const unmounts = {
+    attrs: new Map(),
+    style: new Map(),
+    classes: new Map(),
+    events: new Map()
+  };
+
+  const childNamespace = getChildNamespace(velement.name, namespace);
+  // the boundary only hides the top nodes along with their descendants
+  const childScope =
+    childNamespace === scope.namespace && !scope.boundary
+      ? scope
+      : Object.assign({}, scope, { namespace: childNamespace, boundary: null });
+
+  // recursively mount the children, the props comes after
+  // so that the value of a select can match its options
+  const control = mountChildren(node, velement.children, childScope);
+  mountNodeProps(velement, unmounts, node, scope);
+  if (hydrated) reportHydratedProps(hydrated, velement, node);
+  return { vnode: velement, node, control, unmounts, scope };
+};
+
+const createChildNode = (vnode, scope) => {
+  if (!(vnode instanceof VText) && !(vnode instanceof VElement))
+    throw new Error("Cannot create child, invalid vnode");
+  const child =
+    vnode instanceof VText
+      ? createChildText(vnode)
+      : createChildElement(vnode, scope);
+  if (scope.boundary) scope.boundary.add(child.node);
+  return child;
+};
 
-  // recursively mount the children
-  const control = mount(node, velement.children);
-  return { vnode: velement, node, control, unmounts };
+// tear down a removed child, the descendants are unmounted first
+// through the nested control so that stream children, attr streams
+// and refs deep in the removed subtree does not keep on running
+const unmountChild = child => {
+  if (child.control) child.control.dispose();
+  if (child.vnode instanceof VElement)
+    cancelNodeProps(child.vnode, child.unmounts);
+  if (child.vnode.ref) {
+    child.vnode.ref.control.next([child.node, false]);
+    child.vnode.ref.control.done();
+  }
 };
 
-const createChildNode = vnode => {
-  if (vnode instanceof VText) return createChildText(vnode);
-  if (vnode instanceof VElement) return createChildElement(vnode);
-  throw new Error("Cannot create child, invalid vnode");
+const isPlainValue = value =>
+  value instanceof Array ||
+  (value !== null &&
+    typeof value === "object" &&
+    Object.getPrototypeOf(value) === Object.prototype);
+
+// the args of a scope are the same when every value is equal, arrays
+// and plain objects like props are compared by their values instead
+const isSameArg = (argA, argB) => {
+  if (argA === argB) return true;
+  if (
+    !isPlainValue(argA) ||
+    !isPlainValue(argB) ||
+    argA instanceof Array !== argB instanceof Array
+  )
+    return false;
+  const keys = Object.keys(argA);
+  return (
+    keys.length === Object.keys(argB).length &&
+    keys.every(
+      key =>
+        Object.prototype.hasOwnProperty.call(argB, key) &&
+        isSameArg(argA[key], argB[key])
+    )
+  );
 };
 
 // use to diff a vnode
 const diffVNode = (vnodeA, vnodeB) => {
-  // tag name difference
+  // tag name or key difference
   if (
     vnodeA instanceof VElement &&
     vnodeB instanceof VElement &&
-    vnodeA.name !== vnodeB.name
+    (vnodeA.name !== vnodeB.name || vnodeA.key !== vnodeB.key)
   )
     return "replace";
 
@@ -259,6 +1214,23 @@ const diffVNode = (vnodeA, vnodeB) => {
   )
     return "replace";
 
+  // a fragment is only reused by a fragment of the same key
+  if (
+    vnodeA instanceof VFragment !== vnodeB instanceof VFragment ||
+    (vnodeA instanceof VFragment && vnodeA.key !== vnodeB.key)
+  )
+    return "replace";
+
+  // a scope is only reused by the same type called on the same args
+  if (
+    vnodeA instanceof VScope !== vnodeB instanceof VScope ||
+    (vnodeA instanceof VScope &&
+      (vnodeA.type !== vnodeB.type ||
+        vnodeA.key !== vnodeB.key ||
+        !isSameArg(vnodeA.args, vnodeB.args)))
+  )
+    return "replace";
+
   if (
     vnodeA instanceof VText &&
     vnodeB instanceof VText &&
@@ -269,51 +1241,123 @@ const diffVNode = (vnodeA, vnodeB) => {
   return "none";
 };
 
-// use to diff prev and latest vnodes
+// vnodes that are mounted through a stream child
+const isStreamChild = vnode =>
+  vnode instanceof Stream || vnode instanceof VScope;
+
+const isKeyed = vnode =>
+  (vnode instanceof VElement ||
+    vnode instanceof VFragment ||
+    vnode instanceof VScope) &&
+  vnode.key !== null;
+
+// returns the indexes of the longest increasing subsequence,
+// these are the reused nodes that can stay where they are
+const getStableIndexes = sequence => {
+  const tails = []; // index of the smallest tail of every subsequence length
+  const previous = []; // index of the predecessor of every item
+  sequence.forEach((value, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (sequence[tails[middle]] < value) low = middle + 1;
+      else high = middle;
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const stables = new Set();
+  let index = tails.length ? tails[tails.length - 1] : -1;
+  while (index !== -1) {
+    stables.add(index);
+    index = previous[index];
+  }
+  return stables;
+};
+
+// use to diff prev and latest vnodes, keyed velements
+// are matched by their key and the rest by their index
 const diffVNodes = (prevs, latests) => {
   const additionals = [];
   const removals = [];
   const elements = [];
   const texts = [];
+  const reuses = []; // the reused fragments and scopes
+  const moves = [];
+
+  // pairs of prev and latest index of the reused nodes
+  const pairs = [];
+  const matches = new Set();
+  const keys = new Map();
 
   prevs.forEach((vnode, index) => {
-    const prev = vnode;
-    const latest = latests[index];
+    if (isKeyed(vnode) && !keys.has(vnode.key)) keys.set(vnode.key, index);
+  });
 
-    if (!latest) return removals.push({ vnode, index });
-    if (latest instanceof Stream) {
-      removals.push({ vnode, index });
-      additionals.push({ vnode: latest, index });
-      return;
+  latests.forEach((latest, index) => {
+    if (isKeyed(latest)) {
+      const prevIndex = keys.get(latest.key);
+      keys.delete(latest.key);
+      if (
+        prevIndex === undefined ||
+        diffVNode(prevs[prevIndex], latest) === "replace"
+      )
+        return additionals.push({ vnode: latest, index });
+      matches.add(prevIndex);
+      return pairs.push({ vnode: latest, from: prevIndex, index });
     }
-    if (prev instanceof Stream)
+
+    const prev = prevs[index];
+    if (prev === undefined || isKeyed(prev))
       return additionals.push({ vnode: latest, index });
 
-    const diffType = diffVNode(prev, latest);
-    if (diffType === "replace") {
-      removals.push({ vnode, index });
+    matches.add(index);
+    if (
+      latest instanceof VScope &&
+      prev instanceof VScope &&
+      diffVNode(prev, latest) === "none"
+    )
+      return pairs.push({ vnode: latest, from: index, index });
+    if (isStreamChild(latest)) {
+      removals.push({ vnode: prev, index });
       additionals.push({ vnode: latest, index });
       return;
     }
-    if (diffType === "text") {
-      texts.push({ vnode: latest, index });
+    if (isStreamChild(prev)) return additionals.push({ vnode: latest, index });
+    if (diffVNode(prev, latest) === "replace") {
+      removals.push({ vnode: prev, index });
+      additionals.push({ vnode: latest, index });
       return;
     }
-    if (latest instanceof VElement) elements.push({ vnode: latest, index });
+    pairs.push({ vnode: latest, from: index, index });
   });
 
-  const offsetIndex = prevs.length;
-  const excess = latests.slice(offsetIndex);
+  prevs.forEach((vnode, index) => {
+    if (!matches.has(index)) removals.push({ vnode, index });
+  });
 
-  excess.forEach((vnode, index) =>
-    additionals.push({ vnode, index: index + offsetIndex })
-  );
+  // only the nodes outside of the longest increasing
+  // sequence of prev indexes needs to move on the DOM
+  const stables = getStableIndexes(pairs.map(({ from }) => from));
+  pairs.forEach(({ vnode, from, index }, order) => {
+    const stable = stables.has(order);
+    if (!stable || from !== index) moves.push({ from, index, stable });
+    if (diffVNode(prevs[from], vnode) === "text")
+      return texts.push({ vnode, index });
+    if (vnode instanceof VElement) elements.push({ vnode, index });
+    if (vnode instanceof VFragment || vnode instanceof VScope)
+      reuses.push({ vnode, from, index });
+  });
 
   return {
     additionals,
     removals,
     elements,
-    texts
+    texts,
+    reuses,
+    moves
   };
 };
 
@@ -321,7 +1365,11 @@ const getSafeVNodes = vnodes => {
   return (vnodes instanceof Array ? vnodes : [vnodes])
     .filter(vnode => vnode !== null && vnode !== undefined)
     .map(child =>
-      child instanceof Stream || child instanceof VNode ? child : t(child)
+      child instanceof Stream || child instanceof VNode
+        ? child
+        : isPromise(child)
+        ? fromPromise(child)
+        : t(child)
     );
 };
 
@@ -353,20 +1401,82 @@ const getLargestPositionKey = positions =>
 const getSmallestPositionKey = positions =>
   Math.min(...Array.from(positions.keys()));
 
-const mountVNodes = (vnodes, cancellations, insert, remove, move) => {
+// the mounted fragments and scopes mapped to their slot, the index
+// of a slot changes when the fragment or scope moves to another index
+const slots = new WeakMap();
+
+// a fragment is mounted like a stream child that emits its
+// children, which emits again whenever the fragment is reused
+const mountFragment = (
+  vnode,
+  index,
+  cancellations,
+  insert,
+  remove,
+  move,
+  assign,
+  scope
+) => {
+  const slot = { index, update: null };
+  const stream = create((open, next) => {
+    open();
+    slot.update = latest => next(latest.children);
+    next(vnode.children);
+  });
+  const cancel = mountChildStream(
+    stream,
+    (child, position) => insert(child, slot.index, position),
+    position => remove(slot.index, position),
+    (position, length) => move(slot.index, position, length),
+    (child, position) => assign(child, slot.index, position),
+    scope
+  );
+  slots.set(vnode, slot);
+  cancellations.set(vnode, cancel);
+};
+
+const mountVNodes = (
+  vnodes,
+  cancellations,
+  insert,
+  remove,
+  move,
+  assign,
+  scope
+) => {
   vnodes.forEach(({ vnode, index }) => {
-    if (vnode instanceof Stream) {
-      const cancel = mountChildStream(
+    if (vnode instanceof VFragment)
+      return mountFragment(
         vnode,
+        index,
+        cancellations,
+        insert,
+        remove,
+        move,
+        assign,
+        scope
+      );
+    if (isStreamChild(vnode)) {
+      const [stream, childScope, update] =
+        vnode instanceof VScope ? vnode.connect(scope) : [vnode, scope];
+      const slot = {
+        index,
+        update: update ? latest => update(latest.props) : null
+      };
+      const cancel = mountChildStream(
+        stream,
         // insert should return a value
-        (child, position) => insert(child, index, position),
-        position => remove(index, position),
-        (position, length) => move(index, position, length)
+        (child, position) => insert(child, slot.index, position),
+        position => remove(slot.index, position),
+        (position, length) => move(slot.index, position, length),
+        (child, position) => assign(child, slot.index, position),
+        childScope
       );
+      if (vnode instanceof VScope) slots.set(vnode, slot);
       cancellations.set(vnode, cancel);
       return;
     }
-    insert(createChildNode(vnode), index, 0);
+    insert(createChildNode(vnode, scope), index, 0);
   });
 };
 
@@ -379,21 +1489,63 @@ const remountVNodes = (
   cancellations,
   insert,
   remove,
-  move
+  move,
+  assign,
+  scope
 ) => {
-  // for every remount all stream child cancellation
-  // should run because it needs to be reset
-  cancellations.forEach(cancel => cancel());
-  cancellations.clear();
+  const { additionals, elements, texts, reuses, removals, moves } = diffVNodes(
+    prevs,
+    latests
+  );
 
-  const { additionals, elements, texts, removals } = diffVNodes(prevs, latests);
+  // for every remount all stream child cancellation should run because
+  // it needs to be reset, except for the reused fragments and scopes
+  const reused = new Map(reuses.map(({ from }) => [prevs[from], null]));
+  cancellations.forEach((cancel, vnode) =>
+    reused.has(vnode) ? reused.set(vnode, cancel) : cancel()
+  );
+  cancellations.clear();
 
   removals.forEach(({ index }) => remove(index, 0));
 
+  // vacate the previous space of every moving child first, then stable
+  // children are only reassigned while the rest are inserted on the DOM,
+  // a fragment moves every position of its space along with it
+  const groups = moves.map(({ from }) =>
+    spaces.has(from) ? Array.from(spaces.get(from)) : []
+  );
+  moves.forEach(({ from }, order) =>
+    groups[order].forEach(([position]) => assign(null, from, position))
+  );
+  moves.forEach(
+    ({ index, stable }, order) =>
+      stable &&
+      groups[order].forEach(([position, child]) =>
+        assign(child, index, position)
+      )
+  );
+  moves.forEach(
+    ({ index, stable }, order) =>
+      !stable &&
+      groups[order].forEach(
+        ([position, child]) => child && insert(child, index, position)
+      )
+  );
+
+  // a reused fragment keeps its mounted children and diffs them,
+  // a reused scope keeps its mounted stream and receives its props
+  reuses.forEach(({ vnode, from, index }) => {
+    const slot = slots.get(prevs[from]);
+    slot.index = index;
+    slots.set(vnode, slot);
+    cancellations.set(vnode, reused.get(prevs[from]));
+    if (slot.update) slot.update(vnode);
+  });
+
   texts.forEach(({ vnode, index }) => {
     const child = spaces.get(index).get(0);
     child.vnode.text = vnode.text;
-    child.node.textContent = vnode.text;
+    setText(child.node, vnode.text);
   });
 
   elements.forEach(({ vnode, index }) => {
@@ -405,44 +1557,94 @@ const remountVNodes = (
   });
 
   // mount the additionals
-  mountVNodes(additionals, cancellations, insert, remove, move);
+  mountVNodes(additionals, cancellations, insert, remove, move, assign, scope);
 };
 
 // updating velement this has the diffing of props and diffing of children
 const updateVElement = (child, vnode) => {
   const attrs = child.vnode.attrs;
   const style = child.vnode.style;
+  const classes = child.vnode.classes;
   const events = child.vnode.events;
 
   const attrsStream = {};
   const styleStream = {};
+  const classesStream = {};
 
   const attrsConst = {};
   const styleConst = {};
+  const classesConst = {};
 
   Object.keys(attrs).forEach(key => {
     if (attrs[key] instanceof Stream) attrsStream[key] = attrs[key];
     else attrsConst[key] = attrs[key];
   });
-  Object.keys(style).forEach(key => {
-    if (style[key] instanceof Stream) styleStream[key] = style[key];
-    else styleConst[key] = style[key];
+  // a stream of style objects replaces or is replaced as a whole
+  const wholeStyle = style instanceof Stream || vnode.style instanceof Stream;
+  if (!wholeStyle)
+    Object.keys(style).forEach(key => {
+      if (style[key] instanceof Stream) styleStream[key] = style[key];
+      else styleConst[key] = style[key];
+    });
+  Object.keys(classes).forEach(name => {
+    if (classes[name] instanceof Stream) classesStream[name] = classes[name];
+    else classesConst[name] = classes[name];
   });
 
-  unmountNodeAttrs(attrsStream, child.unmounts.attrs, child.node);
-  unmountNodeStyle(styleStream, child.unmounts.style, child.node);
-
   const [leftAttrsDiff, rightAttrsDiff] = diffObject(attrsConst, vnode.attrs);
-  const [leftStyleDiff, rightStyleDiff] = diffObject(styleConst, vnode.style);
+  const [leftStyleDiff, rightStyleDiff] = wholeStyle
+    ? [{}, vnode.style]
+    : diffObject(styleConst, vnode.style);
+  const [leftClassesDiff, rightClassesDiff] = diffObject(
+    classesConst,
+    vnode.classes
+  );
   const [leftEventsDiff, rightEventsDiff] = diffObject(events, vnode.events);
 
-  unmountNodeAttrs(leftAttrsDiff, child.unmounts.attrs, child.node);
-  unmountNodeAttrs(leftStyleDiff, child.unmounts.style, child.node);
+  // attrs that are still present are only cancelled and then
+  // overwritten, removing them first would reset a live property
+  const staleAttrs = Object.assign({}, attrsStream, leftAttrsDiff);
+  const removedAttrs = {};
+  const replacedAttrs = {};
+  Object.keys(staleAttrs).forEach(key => {
+    if (isRemovalAttr(key, vnode.attrs[key])) removedAttrs[key] = true;
+    else replacedAttrs[key] = true;
+  });
+
+  cancelNodeAttrs(replacedAttrs, child.unmounts.attrs);
+  unmountNodeAttrs(removedAttrs, child.unmounts.attrs, child.node);
+  // the same goes for the style that is still present
+  const staleStyle = Object.assign({}, styleStream, leftStyleDiff);
+  const removedStyle = {};
+  const replacedStyle = {};
+  Object.keys(staleStyle).forEach(key => {
+    const value = vnode.style[key];
+    if (value === null || value === undefined) removedStyle[key] = true;
+    else replacedStyle[key] = true;
+  });
+
+  cancelNodeAttrs(replacedStyle, child.unmounts.style);
+  unmountNodeStyle(removedStyle, child.unmounts.style, child.node);
+  if (wholeStyle) unmountNodeStyle(style, child.unmounts.style, child.node);
   unmountNodeEvents(leftEventsDiff, child.unmounts.events);
 
-  mountNodeAttrs(rightAttrsDiff, child.unmounts.attrs, child.node);
-  mountNodeStyle(rightStyleDiff, child.unmounts.style, child.node);
-  mountNodeEvents(rightEventsDiff, child.unmounts.events, child.node);
+  // a class that is still listed is toggled by the latest value
+  // instead of being removed, keeping it on the node in between
+  const staleClasses = Object.assign({}, classesStream, leftClassesDiff);
+  const removedClasses = {};
+  const replacedClasses = {};
+  Object.keys(staleClasses).forEach(name => {
+    if (vnode.classes[name] === undefined) removedClasses[name] = true;
+    else replacedClasses[name] = true;
+  });
+  cancelNodeAttrs(replacedClasses, child.unmounts.classes);
+  unmountNodeClasses(removedClasses, child.unmounts.classes, child.node);
+
+  const scope = child.scope;
+  mountNodeAttrs(rightAttrsDiff, child.unmounts.attrs, child.node, scope);
+  mountNodeStyle(rightStyleDiff, child.unmounts.style, child.node, scope);
+  mountNodeClasses(rightClassesDiff, child.unmounts.classes, child.node, scope);
+  mountNodeEvents(rightEventsDiff, child.unmounts.events, child.node, scope);
 
   if (child.vnode.innerHTML !== vnode.innerHTML) {
     child.vnode.innerHTML = vnode.innerHTML;
@@ -465,13 +1667,16 @@ const updateVElement = (child, vnode) => {
     control.cancellations,
     control.insert,
     control.remove,
-    control.move
+    control.move,
+    control.assign,
+    control.scope
   );
 };
 
-const mountChildStream = (stream, _insert, _remove, _move) => {
+const mountChildStream = (stream, _insert, _remove, _move, _assign, scope) => {
   let mounted = false;
   let prevs = [];
+  let pending = null; // the hydration waiting for the first emission
   const cancel = CancelInterceptor.join(empty());
   const spaces = new Map();
   const cancellations = new Map(); // stream cancellation Map
@@ -548,8 +1753,17 @@ const mountChildStream = (stream, _insert, _remove, _move) => {
     spaces.get(space).set(position, null);
   };
 
+  // reassign a child to a position without touching the DOM
+  const assign = (child, space, position) => {
+    if (!spaces.has(space)) spaces.set(space, new Map());
+    _assign(child, getExternalPosition(space, position));
+    spaces.get(space).set(position, child);
+  };
+
   const unmount = () => {
-    cancel.run();
+    cancelBinding(cancel, scope);
+    if (pending) discardPending(pending);
+    pending = null;
     cancellations.forEach(cancel => cancel());
     spaces.forEach((space, spaceKey) =>
       space.forEach((_, positionKey) => remove(spaceKey, positionKey))
@@ -570,31 +1784,147 @@ const mountChildStream = (stream, _insert, _remove, _move) => {
         cancellations,
         insert,
         remove,
-        move
-      );
-    else
-      mountVNodes(
-        latests.map((vnode, index) => ({ vnode, index })),
-        cancellations,
-        insert,
-        remove,
-        move
+        move,
+        assign,
+        scope
       );
+    else {
+      const mountLatests = () =>
+        mountVNodes(
+          latests.map((vnode, index) => ({ vnode, index })),
+          cancellations,
+          insert,
+          remove,
+          move,
+          assign,
+          scope
+        );
+      if (pending) hydratePending(pending, mountLatests);
+      else mountLatests();
+    }
 
     mounted = true;
+    pending = null;
     prevs = latests;
   };
 
-  const fail = error => {
-    throw new Error(error);
-  };
-
   // listen to the stream node
-  pipe(stream, map(getSafeVNodes), listen({ next, fail }, cancel));
+  listenBinding(pipe(stream, map(getSafeVNodes)), next, cancel, scope, {
+    kind: "children",
+    key: null,
+    node: null
+  });
+
+  // the server rendered nodes are kept for an emission after hydrating
+  if (!mounted && hydration) pending = deferHydration();
 
   return unmount;
 };
 
+// a stream that emits a single value upon listening
+const constant = value =>
+  create((open, next) => {
+    open();
+    next(value);
+  });
+
+// a stream of a value that emits the current value upon
+// listening and then every distinct value that is set
+const createValue = initial => {
+  let current = initial;
+  const listeners = new Set();
+  const stream = create((open, next, fail, done, talkback) => {
+    open();
+    listeners.add(next);
+    pipe(
+      talkback,
+      filter(payload => payload === Stream.CANCEL),
+      listen(() => {
+        listeners.delete(next);
+        done(true);
+      })
+    );
+    next(current);
+  });
+  const set = value => {
+    if (value === current) return;
+    current = value;
+    listeners.forEach(next => next(value));
+  };
+  return [stream, set, () => current];
+};
+
+// a state of a value, the setter receives the latest
+// value or an updater of the current one into the latest
+export const createState = initial => {
+  const [state$, set, get] = createValue(initial);
+  const setState = value =>
+    set(typeof value === "function" ? value(get()) : value);
+  return [state$, setState];
+};
+
+// a store of a state that is changed by dispatching actions to the
+// reducer, a middleware receives the store and the next dispatch to
+// run side effects around an action, every reduced action is logged
+// along with its state so the store can travel back to any of them
+export const createStore = (reducer, initial, { middleware = [] } = {}) => {
+  const [state$, set, get] = createValue(initial);
+  const log = [];
+  let cursor = -1; // the index of the current state on the log
+  // weakly held so the inline selectors are collected with their streams
+  const selections = new WeakMap();
+
+  // an action dispatched after travelling back drops the later
+  // actions from the log so the log stays a single history
+  const reduce = action => {
+    const state = reducer(get(), action);
+    log.splice(cursor + 1);
+    log.push({ action, state });
+    cursor = log.length - 1;
+    set(state);
+    return action;
+  };
+
+  let dispatch = () => {
+    throw new Error("Cannot dispatch while the middleware is being set up");
+  };
+
+  const store = {
+    state$,
+    log,
+    getState: get,
+    dispatch: action => dispatch(action),
+    // a selector has a single stream that computes once per state
+    select: selector => {
+      if (!selections.has(selector)) {
+        let last = {};
+        let value;
+        const compute = state => {
+          if (state !== last) {
+            last = state;
+            value = selector(state);
+          }
+          return value;
+        };
+        selections.set(selector, pipe(state$, map(compute), distinct()));
+      }
+      return selections.get(selector);
+    },
+    // set the state of a logged action without dispatching
+    travel: index => {
+      cursor = Math.max(-1, Math.min(index, log.length - 1));
+      set(cursor < 0 ? initial : log[cursor].state);
+    }
+  };
+
+  dispatch = middleware
+    .slice()
+    .reverse()
+    .reduce((next, fn) => fn(store)(next), reduce);
+
+  return store;
+};
+
 // helpers for creating virtual nodes
 export const ref = () => new Ref();
 export const e = (...args) =>
@@ -609,8 +1939,532 @@ export const fromEventRef = (ref, event) =>
     switchMap(([node, ins]) => (ins ? fromEvent(node, event) : empty()))
   );
 
-// primary mount function
-export const mount = (parent, vnodes) => {
+// nested arrays of children are flattened and booleans are
+// skipped so conditions like `cond && child` can be inlined
+const flattenChildren = children =>
+  children.reduce(
+    (acc, child) =>
+      child instanceof Array
+        ? acc.concat(flattenChildren(child))
+        : typeof child === "boolean"
+        ? acc
+        : acc.concat([child]),
+    []
+  );
+
+// the pragma of the classic jsx runtime, a function type is
+// called with its props along with the children
+export const h = (type, props, ...children) => {
+  const nodes = flattenChildren(children);
+  if (type === Fragment) return new VFragment(nodes, props ? props.key : null);
+  if (typeof type === "function") {
+    const vnode = type(Object.assign({}, props, { children: nodes }));
+    return vnode instanceof VScope && props && props.key != null
+      ? keyed(props.key, vnode)
+      : vnode;
+  }
+  return new VElement(type, props || {}, nodes);
+};
+export const Fragment = (children, key) => new VFragment(children, key);
+
+// the values of a template are joined by a marker so the
+// parser can tell where each of them was interpolated
+const TEMPLATE_MARKER = "\0";
+
+const TEMPLATE_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0"
+};
+
+const decodeEntities = text =>
+  text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] !== "#")
+      return Object.prototype.hasOwnProperty.call(TEMPLATE_ENTITIES, name)
+        ? TEMPLATE_ENTITIES[name]
+        : entity;
+    const code =
+      name[1] === "x" || name[1] === "X"
+        ? parseInt(name.slice(2), 16)
+        : /^#[0-9]+$/.test(name)
+        ? parseInt(name.slice(1), 10)
+        : NaN;
+    // an invalid numeric entity is left as it is
+    return code >= 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  });
+
+// whitespace that spans a line is indentation of the markup
+const trimTemplateText = text => text.replace(/^\s*\n\s*|\s*\n\s*$/g, "");
+
+// parse the markup into a tree of elements, texts and holes,
+// a hole is the index of an interpolated value
+const parseTemplate = source => {
+  let index = 0;
+  let hole = 0;
+
+  const readHole = () => {
+    index++;
+    return { hole: hole++ };
+  };
+
+  const skipSpaces = () => {
+    while (/\s/.test(source[index] || "")) index++;
+  };
+
+  const readName = () => {
+    const start = index;
+    while (index < source.length && !/[\s/>=\0]/.test(source[index])) index++;
+    return source.slice(start, index);
+  };
+
+  const parseValue = () => {
+    const quote = source[index];
+    if (source[index] === TEMPLATE_MARKER) return [readHole()];
+    if (quote !== '"' && quote !== "'") return [readName()];
+
+    const parts = [];
+    let text = "";
+    index++;
+    while (index < source.length && source[index] !== quote) {
+      if (source[index] === TEMPLATE_MARKER) {
+        if (text) parts.push(decodeEntities(text));
+        parts.push(readHole());
+        text = "";
+        continue;
+      }
+      text += source[index++];
+    }
+    index++;
+    if (text || !parts.length) parts.push(decodeEntities(text));
+    return parts;
+  };
+
+  const parseElement = () => {
+    index++;
+    const tag = source[index] === TEMPLATE_MARKER ? readHole() : readName();
+    if (!tag) throw new Error(`Unexpected "<" in template at ${index}`);
+    const attrs = [];
+
+    while (true) {
+      skipSpaces();
+      if (index >= source.length) throw new Error("Unclosed tag in template");
+      if (source.startsWith("/>", index)) {
+        index += 2;
+        return { tag, attrs, children: [] };
+      }
+      if (source[index] === ">") {
+        index++;
+        break;
+      }
+      if (source.startsWith("...", index)) {
+        index += 3;
+        attrs.push({ spread: readHole().hole });
+        continue;
+      }
+      const name = readName();
+      if (!name)
+        throw new Error(`Unexpected "${source[index]}" in template tag`);
+      skipSpaces();
+      if (source[index] !== "=") {
+        attrs.push({ name, parts: [true] });
+        continue;
+      }
+      index++;
+      skipSpaces();
+      attrs.push({ name, parts: parseValue() });
+    }
+
+    if (typeof tag === "string" && VOID_ELEMENTS.has(tag))
+      return { tag, attrs, children: [] };
+    return { tag, attrs, children: parseChildren(true) };
+  };
+
+  const parseChildren = nested => {
+    const children = [];
+    let text = "";
+    const flush = () => {
+      const value = trimTemplateText(text);
+      if (value) children.push(decodeEntities(value));
+      text = "";
+    };
+
+    while (index < source.length) {
+      if (source.startsWith("<!--", index)) {
+        const end = source.indexOf("-->", index);
+        const comment = source.slice(index, end < 0 ? source.length : end);
+        // holes inside a comment are never read
+        hole += comment.split(TEMPLATE_MARKER).length - 1;
+        index = end < 0 ? source.length : end + 3;
+        continue;
+      }
+      if (source.startsWith("</", index)) {
+        if (!nested) throw new Error("Unexpected closing tag in template");
+        const end = source.indexOf(">", index);
+        hole += source.slice(index, end).split(TEMPLATE_MARKER).length - 1;
+        index = end + 1;
+        flush();
+        return children;
+      }
+      if (source[index] === "<") {
+        flush();
+        children.push(parseElement());
+        continue;
+      }
+      if (source[index] === TEMPLATE_MARKER) {
+        flush();
+        children.push(readHole());
+        continue;
+      }
+      text += source[index++];
+    }
+
+    if (nested) throw new Error("Unclosed tag in template");
+    flush();
+    return children;
+  };
+
+  return parseChildren(false);
+};
+
+// an attribute of a single hole keeps the value as is,
+// otherwise the parts are joined into a string
+const evaluateTemplateAttr = (parts, values) => {
+  if (parts.length === 1)
+    return typeof parts[0] === "object" ? values[parts[0].hole] : parts[0];
+  return parts
+    .map(part => (typeof part === "object" ? values[part.hole] : part))
+    .join("");
+};
+
+const evaluateTemplate = (node, values) => {
+  if (typeof node === "string") return node;
+  if (!node.tag) return values[node.hole];
+
+  const props = {};
+  node.attrs.forEach(attr => {
+    if (attr.spread !== undefined)
+      return Object.assign(props, values[attr.spread]);
+    props[attr.name] = evaluateTemplateAttr(attr.parts, values);
+  });
+
+  const type = typeof node.tag === "string" ? node.tag : values[node.tag.hole];
+  const children = node.children.map(child => evaluateTemplate(child, values));
+  return h(type, props, ...children);
+};
+
+// the strings of a tagged template are the same array on
+// every call of the same call site
+const templates = new WeakMap();
+
+export const html = (strings, ...values) => {
+  if (!templates.has(strings))
+    templates.set(strings, parseTemplate(strings.join(TEMPLATE_MARKER)));
+  const nodes = templates
+    .get(strings)
+    .map(node => evaluateTemplate(node, values));
+  return nodes.length === 1 ? nodes[0] : nodes;
+};
+
+// wrap a function into a component, the function receives the
+// lifecycle streams and a scope whose listeners and teardowns
+// are cancelled once the component is removed from the tree,
+// the scope can also inject the values provided by an ancestor
+export const component = fn => (...args) =>
+  new VScope(
+    scope => {
+      const stream = create((open, next, fail, done, talkback) => {
+        const [mountedControl, mounted$] = emitter();
+        const [unmountedControl, unmounted$] = emitter();
+        const teardowns = [];
+
+        const componentScope = {
+          add: teardown => teardowns.push(teardown),
+          listen: observer => stream => {
+            const cancel = CancelInterceptor.join(empty());
+            teardowns.push(() => cancel.run());
+            pipe(stream, listen(observer, cancel));
+          },
+          inject: (key, defaultValue) =>
+            scope.contexts.has(key)
+              ? scope.contexts.get(key)
+              : constant(defaultValue)
+        };
+
+        open();
+        mountedControl.open();
+        unmountedControl.open();
+
+        pipe(
+          talkback,
+          filter(payload => payload === Stream.CANCEL),
+          listen(() => {
+            unmountedControl.next(true);
+            unmountedControl.done();
+            teardowns.splice(0).forEach(teardown => teardown());
+            done(true);
+          })
+        );
+
+        // the emitted vnodes are mounted synchronously by the stream child
+        next(fn({ mounted$, unmounted$, scope: componentScope }, ...args));
+        mountedControl.next(true);
+        mountedControl.done();
+      });
+
+      return [stream, scope];
+    },
+    fn,
+    args
+  );
+
+// give a scope like a component a key, a keyed scope is matched
+// by its key among its siblings instead of by its position
+export const keyed = (key, vscope) =>
+  new VScope(vscope.connect, vscope.type, vscope.args, key, vscope.props);
+
+const toStream = value => (value instanceof Stream ? value : constant(value));
+
+// provide a value to the descendants, a component beneath it
+// injects the value of the nearest provider with the same key,
+// a reused provider sets its latest value and children
+export const provide = (key, value, children) =>
+  new VScope(
+    scope => {
+      const [value$, setValue] = createValue(value);
+      const [children$, setChildren] = createValue(children);
+      const contexts = new Map(scope.contexts);
+      contexts.set(key, pipe(value$, switchMap(toStream)));
+      const update = props => {
+        setValue(props.value);
+        setChildren(props.children);
+      };
+      return [children$, Object.assign({}, scope, { contexts }), update];
+    },
+    provide,
+    [key],
+    null,
+    { value, children }
+  );
+
+// a boundary renders its latest children until a failure beneath
+// it swaps them for the fallback, a retry mounts the latest children
+const connectBoundary = (scope, props) => {
+  let latest = props;
+  let state = "children"; // children, failing or fallback
+  let render = () => {};
+  let emit = () => {};
+
+  const retry = () => {
+    if (state !== "fallback") return;
+    state = "children";
+    render(latest.children);
+  };
+
+  const handle = error => {
+    // a failing fallback is handled by the parent boundary
+    if (state === "fallback") return scope.fail(error);
+    if (state === "failing") return;
+    state = "failing";
+    // failures can happen while the children are being mounted
+    // so the swap is deferred after the current mounting ends,
+    // a throwing fallback leaves the boundary empty and fails it
+    Promise.resolve()
+      .then(() => {
+        const { fallback } = latest;
+        state = "fallback";
+        try {
+          render(
+            typeof fallback === "function" ? fallback(error, retry) : fallback
+          );
+        } catch (failure) {
+          render([]);
+          scope.fail(failure);
+        }
+      })
+      .catch(reportError);
+  };
+
+  const stream = create((open, next, fail, done, talkback) => {
+    open();
+    // a new stream child is never diffed against the previous one
+    // so the broken subtree is unmounted instead of being updated
+    render = vnodes => next([constant(vnodes)]);
+    emit = next;
+    pipe(
+      talkback,
+      filter(payload => payload === Stream.CANCEL),
+      listen(() => {
+        render = () => {};
+        emit = () => {};
+        done(true);
+      })
+    );
+    next(latest.children);
+  });
+
+  const update = props => {
+    latest = props;
+    if (state === "children") emit(latest.children);
+  };
+
+  return [stream, Object.assign({}, scope, { fail: handle }), update];
+};
+
+// catch the failures of the streams and event handlers beneath it,
+// the broken subtree is then unmounted and replaced by the fallback
+// which can be a function of the error and a retry of the children
+export const errorBoundary = (fallback, children) =>
+  new VScope(
+    scope => connectBoundary(scope, { fallback, children }),
+    errorBoundary,
+    [],
+    null,
+    { fallback, children }
+  );
+
+// render the children into a different container, the portal occupies
+// no position on its parent while its subtree follows the parent's
+// lifecycle, on the server it renders nothing, a reused portal on
+// the same target diffs its latest children
+export const portal = (target, children) =>
+  new VScope(
+    scope => {
+      if (scope.server) return [constant([]), scope];
+      const [children$, setChildren] = createValue(children);
+      const childScope = Object.assign({}, scope, {
+        namespace: getParentNamespace(target),
+        // the events of the target does not bubble up to the root
+        delegator: scope.delegator ? createDelegator(target) : null
+      });
+
+      const stream = create((open, next, fail, done, talkback) => {
+        open();
+        const control = mountChildren(target, [children$], childScope);
+        pipe(
+          talkback,
+          filter(payload => payload === Stream.CANCEL),
+          listen(() => {
+            control.unmount();
+            done(true);
+          })
+        );
+        next([]);
+      });
+
+      return [stream, childScope, props => setChildren(props.children)];
+    },
+    portal,
+    [target],
+    null,
+    { children }
+  );
+
+// the hidden nodes of a suspense mapped to what was hidden
+const suspended = new WeakMap();
+
+const hideNode = node => {
+  if (suspended.has(node)) return;
+  if (node.nodeType === 3) {
+    suspended.set(node, node.nodeValue);
+    node.nodeValue = "";
+    return;
+  }
+  suspended.set(node, node.style.display);
+  node.style.display = "none";
+};
+
+const showNode = node => {
+  if (!suspended.has(node)) return;
+  if (node.nodeType === 3) node.nodeValue = suspended.get(node);
+  else node.style.display = suspended.get(node);
+  if (node.nodeType === 1 && !node.getAttribute("style"))
+    node.removeAttribute("style");
+  suspended.delete(node);
+};
+
+// a hidden text keeps its latest text until it is shown
+const setText = (node, text) => {
+  if (suspended.has(node)) suspended.set(node, text);
+  else node.nodeValue = text;
+};
+
+// a reused suspense diffs its latest children and shows its
+// latest fallback, the content is a scope of the children so
+// that the top nodes of the children are added to the boundary
+const connectSuspense = (scope, props) => {
+  let latest = props;
+  const [children$, setChildren] = createValue(props.children);
+  const [fallback$, setFallback] = createValue([]);
+  const nodes = new Set(); // the top nodes of the children
+  let pending = 0;
+
+  const boundary = {
+    add: node => {
+      nodes.add(node);
+      if (pending) hideNode(node);
+    }
+  };
+
+  const suspend = promise => {
+    if (pending++ === 0) {
+      nodes.forEach(hideNode);
+      setFallback([latest.fallback]);
+    }
+    const resume = () => {
+      if (--pending) return;
+      nodes.forEach(node => {
+        showNode(node);
+        if (!node.parentNode) nodes.delete(node);
+      });
+      setFallback([]);
+    };
+    promise.then(resume, resume);
+  };
+
+  const update = props => {
+    latest = props;
+    setChildren(props.children);
+    if (pending) setFallback([props.fallback]);
+  };
+
+  const childScope = Object.assign({}, scope, { suspend, boundary });
+  const content = new VScope(() => [children$, childScope]);
+  return [constant([content, fallback$]), scope, update];
+};
+
+// show the fallback in place of the children while a promise beneath
+// it is pending, the children are mounted but hidden in the meantime
+// so they are shown as is once every pending promise has settled
+export const suspense = (fallback, children) =>
+  new VScope(
+    scope => connectSuspense(scope, { fallback, children }),
+    suspense,
+    [],
+    null,
+    { fallback, children }
+  );
+
+// a component that is loaded on its first use, the loader returns
+// a promise of the component or of a module exporting it as default
+export const lazy = loader => {
+  let promise = null;
+  let loaded = null;
+  return (...args) => {
+    if (loaded) return loaded(...args);
+    if (!promise)
+      promise = loader().then(module => {
+        loaded = typeof module === "function" ? module : module.default;
+        return loaded;
+      });
+    return promise.then(component => component(...args));
+  };
+};
+
+// mount vnodes as the children of parent
+const mountChildren = (parent, vnodes, scope) => {
   const spaces = new Map(); // space index map
   const cancellations = new Map(); // cancellation for child stream
 
@@ -658,9 +2512,22 @@ export const mount = (parent, vnodes) => {
         ? spaces.get(headSpaceKey).get(headPositionKey)
         : null;
 
+    // an attached node is either adopted from the server
+    // rendered markup or a keyed node that only needs to move
+    const attached = child.node.parentNode === parent;
+    const adopted = attached && hydration !== null;
     spaces.get(space).set(position, child);
-    parent.insertBefore(child.node, head && head.node);
-    if (child.vnode.ref) {
+    // a node adopted by a pending stream child can be after its head
+    // when a later sibling had claimed a node rendered before it
+    if (!adopted || (head && head.node.compareDocumentPosition(child.node) & 4))
+      parent.insertBefore(
+        child.node,
+        head ? head.node : getHydrationCursor(parent)
+      );
+    if (child.vnode.transition && !attached)
+      runTransition(child.node, child.vnode.transition, "enter", () => {});
+    if (devtools) devtools.insert(child.node);
+    if (child.vnode.ref && (!attached || adopted)) {
       child.vnode.ref.control.open();
       child.vnode.ref.control.next([child.node, true]);
     }
@@ -672,15 +2539,24 @@ export const mount = (parent, vnodes) => {
     const child = get(space, position);
 
     if (!child) return;
-    if (child.vnode instanceof VElement)
-      unmountNodeProps(child.vnode, child.unmounts, child.node);
 
+    // the position is vacated at once even if the node is still leaving
     spaces.get(space).set(position, null);
-    parent.removeChild(child.node);
-    if (child.vnode.ref) {
-      child.vnode.ref.control.next([child.node, false]);
-      child.vnode.ref.control.done();
+    // the nodes are discarded together with a disposing parent
+    if (!disposing) {
+      if (child.vnode.transition)
+        runTransition(child.node, child.vnode.transition, "leave", () => {
+          if (child.node.parentNode === parent) parent.removeChild(child.node);
+        });
+      else parent.removeChild(child.node);
     }
+    unmountChild(child);
+  };
+
+  // reassign a child to a position without touching the DOM
+  const assign = (child, space, position) => {
+    if (!spaces.has(space)) spaces.set(space, new Map());
+    spaces.get(space).set(position, child);
   };
 
   const unmount = () => {
@@ -692,13 +2568,1279 @@ export const mount = (parent, vnodes) => {
     spaces.clear();
   };
 
+  // unmount when the parent itself is removed,
+  // the children are left attached on the parent
+  let disposing = false;
+  const dispose = () => {
+    disposing = true;
+    unmount();
+  };
+
+  if (hydration) {
+    if (!hydration.parents.length || hydration.adopted.has(parent))
+      hydration.cursors.set(parent, getClaimableNode(parent.firstChild));
+    hydration.parents.push(parent);
+  }
+
   mountVNodes(
     getSafeVNodes(vnodes).map((vnode, index) => ({ vnode, index })),
     cancellations,
     insert,
     remove,
-    move
+    move,
+    assign,
+    scope
+  );
+
+  if (hydration) {
+    // the server rendered nodes that were not adopted
+    releaseCursor(parent);
+    hydration.parents.pop();
+  }
+
+  return {
+    get,
+    insert,
+    remove,
+    move,
+    assign,
+    unmount,
+    dispose,
+    cancellations,
+    spaces,
+    scope
+  };
+};
+
+// primary mount function, the options can have the
+// scheduler used to apply the emissions of the streams,
+// the returned flush applies the pending updates of every
+// mount that shares the scheduler and subscriptions counts
+// the stream bindings of the mount that are still listened
+export const mount = (parent, vnodes, options) => {
+  const scope = createScope(parent, options);
+  const control = mountChildren(parent, vnodes, scope);
+  if (devtools) devtools.mount(parent, vnodes, control);
+  return Object.assign(control, {
+    flush: scope.scheduler.flush,
+    subscriptions: () => scope.bindings.size
+  });
+};
+
+const VOID_ELEMENTS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "param",
+  "source",
+  "track",
+  "wbr"
+]);
+
+const escapeText = text =>
+  `${text}`
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+const escapeAttr = value => escapeText(value).replace(/"/g, "&quot;");
+
+// synchronously read the value a stream emits upon listening
+const getCurrentValue = stream => {
+  let current;
+  const cancel = CancelInterceptor.join(empty());
+  pipe(
+    stream,
+    take(1),
+    listen(value => (current = value), cancel)
   );
+  cancel.run();
+  return current;
+};
 
-  return { get, insert, remove, unmount, cancellations, spaces };
+const getFirstValue = stream =>
+  new Promise((resolve, reject) =>
+    pipe(
+      stream,
+      take(1),
+      listen({ next: resolve, fail: reject, done: () => resolve() })
+    )
+  );
+
+const renderAttrs = (attrs, read) =>
+  Object.keys(attrs)
+    .map(key => {
+      const attr = attrs[key] instanceof Stream ? read(attrs[key]) : attrs[key];
+      if (isRemovalAttr(key, attr)) return "";
+      if (attr === true && isBooleanAttr(key)) return ` ${key}`;
+      return ` ${key}="${escapeAttr(attr)}"`;
+    })
+    .join("");
+
+const renderClasses = (classes, read, sheets) => {
+  if (sheets)
+    Object.keys(classes).forEach(name => {
+      const sheet = classes[name];
+      if (sheet instanceof CssSheet) sheets.add(sheet);
+      else if (styleSheets.has(name)) sheets.add(styleSheets.get(name));
+    });
+  const names = Object.keys(classes).filter(name =>
+    classes[name] instanceof Stream ? read(classes[name]) : classes[name]
+  );
+  return names.length ? ` class="${escapeAttr(names.join(" "))}"` : "";
+};
+
+const renderStyle = (style, read) => {
+  const values = style instanceof Stream ? read(style) || {} : style;
+  const declarations = Object.keys(values)
+    .map(key => {
+      const value =
+        values[key] instanceof Stream ? read(values[key]) : values[key];
+      if (value === null || value === undefined || value === false) return "";
+      const name = getStyleName(key);
+      return `${name}: ${getStyleValue(name, value)};`;
+    })
+    .filter(declaration => declaration)
+    .join(" ");
+  return declarations ? ` style="${escapeAttr(declarations)}"` : "";
+};
+
+// read the first value of a stream child together with the scope
+// of its descendants, this is where a vnode scope gets connected
+const readStreamChild = (vnode, scope, read) => {
+  const [stream, childScope] =
+    vnode instanceof VScope ? vnode.connect(scope) : [vnode, scope];
+  return [read(stream), childScope];
+};
+
+const renderVNodes = (vnodes, read, scope, children) =>
+  getSafeVNodes(vnodes)
+    .map(vnode => {
+      if (isStreamChild(vnode)) {
+        const [value, childScope] = children(vnode, scope);
+        return value === undefined
+          ? ""
+          : renderVNodes(value, read, childScope, children);
+      }
+      if (vnode instanceof VText) return escapeText(vnode.text);
+      if (vnode instanceof VFragment)
+        return renderVNodes(vnode.children, read, scope, children);
+      const open = `<${vnode.name}${renderClasses(
+        vnode.classes,
+        read,
+        scope.sheets
+      )}${renderAttrs(vnode.attrs, read)}${renderStyle(vnode.style, read)}>`;
+      if (VOID_ELEMENTS.has(vnode.name)) return open;
+      const content =
+        vnode.innerHTML || renderVNodes(vnode.children, read, scope, children);
+      return `${open}${content}</${vnode.name}>`;
+    })
+    .join("");
+
+// wait for the first value of every stream in the tree including
+// the streams inside of the vnodes emitted by a stream child, the
+// value of a stream child is kept along with its descendants scope
+const resolveVNodes = (vnodes, values, scope) => {
+  const resolve = stream =>
+    values.has(stream)
+      ? Promise.resolve(values.get(stream))
+      : getFirstValue(stream).then(value => {
+          values.set(stream, value);
+          return value;
+        });
+
+  return Promise.all(
+    getSafeVNodes(vnodes).map(vnode => {
+      if (isStreamChild(vnode)) {
+        if (values.has(vnode)) return null;
+        const [stream, childScope] =
+          vnode instanceof VScope ? vnode.connect(scope) : [vnode, scope];
+        return getFirstValue(stream).then(value => {
+          values.set(vnode, [value, childScope]);
+          return value === undefined
+            ? null
+            : resolveVNodes(value, values, childScope);
+        });
+      }
+      if (vnode instanceof VText) return null;
+      if (vnode instanceof VFragment)
+        return resolveVNodes(vnode.children, values, scope);
+      const streams = Object.keys(vnode.attrs)
+        .map(key => vnode.attrs[key])
+        .concat(
+          vnode.style instanceof Stream
+            ? [vnode.style]
+            : Object.keys(vnode.style).map(key => vnode.style[key])
+        )
+        .concat(Object.keys(vnode.classes).map(name => vnode.classes[name]))
+        .filter(value => value instanceof Stream);
+      return Promise.all(
+        streams
+          .map(resolve)
+          .concat(resolveVNodes(vnode.children, values, scope))
+      );
+    })
+  );
+};
+
+// the scope of a server render, the css classes rendered
+// are added to the collector that was given to the render
+const createServerScope = ({ css = null } = {}) =>
+  createScope(null, { sheets: css ? css.sheets : null });
+
+// render vnodes into an HTML string, streams are
+// rendered by the value they synchronously emit
+export const renderToString = (vnodes, options) =>
+  renderVNodes(
+    vnodes,
+    getCurrentValue,
+    createServerScope(options),
+    (vnode, scope) => readStreamChild(vnode, scope, getCurrentValue)
+  );
+
+// render vnodes into an HTML string after
+// every stream in the tree has emitted once
+export const renderToStringAsync = (vnodes, options) => {
+  const values = new Map();
+  const scope = createServerScope(options);
+  return resolveVNodes(vnodes, values, scope).then(() =>
+    renderVNodes(
+      vnodes,
+      stream => values.get(stream),
+      scope,
+      (vnode, scope) => values.get(vnode) || [undefined, scope]
+    )
+  );
 };
+
+// mount vnodes by adopting the server rendered markup inside
+// of the parent, the nodes that could not be adopted are
+// replaced and reported on the returned mismatches, a stream
+// child that emits later adopts the nodes kept for it then
+export const hydrate = (parent, vnodes, options) => {
+  const mismatches = [];
+  hydration = {
+    parents: [],
+    cursors: new Map(),
+    bounds: new Map(), // the kept nodes a pending stream child adopts from
+    pendings: new Map(), // the stream children that has not emitted yet
+    adopted: new WeakSet(),
+    mismatches
+  };
+  try {
+    return Object.assign(mount(parent, vnodes, options), { mismatches });
+  } finally {
+    hydration = null;
+  }
+};
+
+const toCamelCase = name =>
+  name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+// the state of the connected custom elements
+const hosts = new WeakMap();
+
+// register a custom element rendering the component, the observed
+// attributes and the properties are given to the component as
+// streams of their values and the tree is mounted while the
+// element is connected, the dispatch of the props emits every
+// value of a stream as the detail of a custom event on the element
+export const defineElement = (tagName, component, options = {}) => {
+  const {
+    observedAttributes = [],
+    properties = [],
+    shadow = false,
+    scheduler
+  } = options;
+
+  // an attribute and a property of the same name share a stream
+  const names = Array.from(
+    new Set(observedAttributes.map(toCamelCase).concat(properties))
+  );
+
+  class GuhitElement extends HTMLElement {
+    static get observedAttributes() {
+      return observedAttributes;
+    }
+
+    constructor() {
+      super();
+      const values = {};
+      names.forEach(name => (values[name] = createValue(null)));
+      const root = shadow
+        ? this.attachShadow(
+            typeof shadow === "object"
+              ? shadow
+              : { mode: shadow === true ? "open" : shadow }
+          )
+        : this;
+      hosts.set(this, { values, root, control: null, cancels: [] });
+
+      // a property set before the element was upgraded
+      // shadows the accessor until it is set again
+      properties.forEach(name => {
+        if (!Object.prototype.hasOwnProperty.call(this, name)) return;
+        const value = this[name];
+        delete this[name];
+        this[name] = value;
+      });
+    }
+
+    connectedCallback() {
+      const host = hosts.get(this);
+      if (host.control) return;
+      const props = { host: this };
+      names.forEach(name => (props[name] = host.values[name][0]));
+      props.dispatch = (type, stream, init) => {
+        const cancel = CancelInterceptor.join(empty());
+        host.cancels.push(cancel);
+        pipe(
+          stream,
+          listen(
+            detail =>
+              this.dispatchEvent(
+                new CustomEvent(
+                  type,
+                  Object.assign({ bubbles: true, composed: true }, init, {
+                    detail
+                  })
+                )
+              ),
+            cancel
+          )
+        );
+      };
+      host.control = mount(host.root, component(props), { scheduler });
+    }
+
+    disconnectedCallback() {
+      const host = hosts.get(this);
+      if (!host.control) return;
+      host.control.unmount();
+      host.control = null;
+      host.cancels.splice(0).forEach(cancel => cancel.run());
+    }
+
+    attributeChangedCallback(name, _, value) {
+      hosts.get(this).values[toCamelCase(name)][1](value);
+    }
+  }
+
+  properties.forEach(name =>
+    Object.defineProperty(GuhitElement.prototype, name, {
+      configurable: true,
+      get() {
+        return hosts.get(this).values[name][2]();
+      },
+      set(value) {
+        hosts.get(this).values[name][1](value);
+      }
+    })
+  );
+
+  customElements.define(tagName, GuhitElement);
+  return GuhitElement;
+};
+
+// the rules and the variables of a css class, this is the value of
+// the class in the class list returned by css so that a class whose
+// sheet was dropped after its last use can be mounted again
+class CssSheet {
+  constructor(name, rules, variables) {
+    this.name = name;
+    this.rules = rules;
+    this.variables = variables;
+    this.count = 0; // the mounted uses of the class
+    this.cancels = [];
+  }
+}
+
+// the style sheets of the static css classes and of
+// the mounted css classes with streams by their name
+const styleSheets = new Map();
+
+// the css classes with streams do not share their variables
+let streamSheets = 0;
+
+// the managed style element of the mounted css classes
+let styleNode = null;
+
+const hashStyles = text => {
+  let hash = 5381;
+  for (let index = 0; index < text.length; index++)
+    hash = ((hash << 5) + hash + text.charCodeAt(index)) | 0;
+  return (hash >>> 0).toString(36);
+};
+
+// compile the styles of a selector into rules, a nested key with an
+// & is a selector relative to the parent one and an @ key wraps its
+// rules like a media query, a stream value is read from a variable
+const compileStyles = (selector, styles, variable) => {
+  const declarations = [];
+  const rules = [];
+  Object.keys(styles).forEach(key => {
+    const value = styles[key];
+    if (value === null || value === undefined || value === false) return;
+    if (key[0] === "@")
+      return rules.push(
+        `${key}{${compileStyles(selector, value, variable).join("")}}`
+      );
+    if (typeof value === "object" && !(value instanceof Stream)) {
+      const nested = key
+        .split(",")
+        .map(part =>
+          part.includes("&")
+            ? part.trim().replace(/&/g, selector)
+            : `${selector} ${part.trim()}`
+        )
+        .join(",");
+      return rules.push(...compileStyles(nested, value, variable));
+    }
+    const name = getStyleName(key);
+    declarations.push(
+      value instanceof Stream
+        ? `${name}:var(${variable(name, value)})`
+        : `${name}:${getStyleValue(name, value)}`
+    );
+  });
+  return (declarations.length
+    ? [`${selector}{${declarations.join(";")}}`]
+    : []
+  ).concat(rules);
+};
+
+const updateStyleNode = () => {
+  if (!styleNode) {
+    styleNode = document.createElement("style");
+    styleNode.setAttribute("data-guhit", "");
+    document.head.appendChild(styleNode);
+  }
+  const rules = [];
+  styleSheets.forEach(sheet => sheet.count && rules.push(...sheet.rules));
+  styleNode.textContent = rules.join("\n");
+};
+
+// count a mounted use of a css class, its variables are bound on the
+// root while it is used and the rules are removed after the last use
+const acquireStyleSheet = sheet => {
+  if (sheet.count++ === 0 && !sheet.cancels.length) {
+    styleSheets.set(sheet.name, sheet);
+    sheet.variables.forEach(({ name, variable, stream }) => {
+      const cancel = CancelInterceptor.join(empty());
+      sheet.cancels.push(cancel);
+      pipe(
+        stream,
+        listen(
+          value =>
+            document.documentElement.style.setProperty(
+              variable,
+              getStyleValue(name, value)
+            ),
+          cancel
+        )
+      );
+    });
+    updateStyleNode();
+  }
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    sheet.count--;
+    // a class that is remounted right away keeps its rules
+    Promise.resolve().then(() => {
+      if (sheet.count) return;
+      sheet.cancels.splice(0).forEach(cancel => cancel.run());
+      sheet.variables.forEach(({ variable }) =>
+        document.documentElement.style.removeProperty(variable)
+      );
+      // a class with streams is created again on every css call
+      if (sheet.variables.length) styleSheets.delete(sheet.name);
+      updateStyleNode();
+    });
+  };
+};
+
+// create a css class of the styles, the returned class list is
+// given as a class of an element which mounts its rules
+export const css = styles => {
+  const text = JSON.stringify(styles, (_, value) =>
+    value instanceof Stream ? "\0" : value
+  );
+  const streams = text.split("\\u0000").length - 1;
+  const name = `g-${hashStyles(text)}${
+    streams ? `-${(streamSheets++).toString(36)}` : ""
+  }`;
+
+  if (styleSheets.has(name)) return { [name]: styleSheets.get(name) };
+
+  const variables = [];
+  const rules = compileStyles(`.${name}`, styles, (property, stream) => {
+    const variable = `--${name}-${variables.length}`;
+    variables.push({ name: property, variable, stream });
+    return variable;
+  });
+  const sheet = new CssSheet(name, rules, variables);
+  // the sheet of a class with streams is only kept while mounted
+  if (!streams) styleSheets.set(name, sheet);
+  return { [name]: sheet };
+};
+
+// a collector of the css classes rendered to string, every server
+// request has its own so that concurrent renders do not mix them
+export const createCssCollector = () => ({ sheets: new Set() });
+
+// the css of the classes a collector has collected since the
+// last extraction, the variables are set by their current value
+export const extractCss = collector => {
+  const rules = [];
+  const variables = [];
+  collector.sheets.forEach(sheet => {
+    rules.push(...sheet.rules);
+    sheet.variables.forEach(({ name, variable, stream }) => {
+      const value = getCurrentValue(stream);
+      if (value !== undefined)
+        variables.push(`${variable}:${getStyleValue(name, value)}`);
+    });
+  });
+  collector.sheets.clear();
+  if (variables.length) rules.unshift(`:root{${variables.join(";")}}`);
+  return rules.join("\n");
+};
+
+const parseLocation = (path, state = null) => {
+  const hashIndex = path.indexOf("#");
+  const rest = hashIndex < 0 ? path : path.slice(0, hashIndex);
+  const searchIndex = rest.indexOf("?");
+  return {
+    pathname: (searchIndex < 0 ? rest : rest.slice(0, searchIndex)) || "/",
+    search: searchIndex < 0 ? "" : rest.slice(searchIndex),
+    hash: hashIndex < 0 ? "" : path.slice(hashIndex),
+    state
+  };
+};
+
+const toPath = location =>
+  `${location.pathname}${location.search}${location.hash}`;
+
+// a history of locations, the browser and the memory history differ
+// only on how a navigation is committed and how to go back and forth,
+// a guard receives the next and the current location and returns
+// false to block the navigation or a path to redirect to instead
+const createHistory = (initial, commit, go, release = () => {}) => {
+  const [location$, set, get] = createValue(initial);
+  const guards = [];
+
+  const check = to => {
+    for (let index = 0; index < guards.length; index++) {
+      const result = guards[index](to, get());
+      if (result === false || typeof result === "string") return result;
+    }
+    return true;
+  };
+
+  const navigate = (path, state, replace) => {
+    const to = parseLocation(path, state);
+    const result = check(to);
+    if (result === false) return false;
+    if (typeof result === "string") return navigate(result, null, replace);
+    commit(to, replace);
+    set(to);
+    return true;
+  };
+
+  // a location that was already committed by going back or forth
+  const pop = to => {
+    const result = check(to);
+    if (result === false) return false;
+    if (typeof result === "string") return navigate(result, null, true);
+    set(to);
+    return true;
+  };
+
+  return {
+    location$,
+    location: get,
+    push: (path, state) => navigate(path, state, false),
+    replace: (path, state) => navigate(path, state, true),
+    go,
+    back: () => go(-1),
+    forward: () => go(1),
+    guard: guard => {
+      guards.push(guard);
+      return () => guards.splice(guards.indexOf(guard) >>> 0, 1);
+    },
+    pop,
+    // stop listening to the navigations outside of the history
+    dispose: () => {
+      guards.splice(0);
+      release();
+    }
+  };
+};
+
+// a history backed by the History API of the window, the entries
+// are numbered in their state so that going back or forth can be
+// undone by going the other way when a guard blocks it
+export const createBrowserHistory = () => {
+  const isNumbered = entry =>
+    Boolean(entry) &&
+    typeof entry === "object" &&
+    typeof entry.index === "number";
+  const read = state =>
+    parseLocation(
+      `${window.location.pathname}${window.location.search}${window.location.hash}`,
+      state
+    );
+  let index = 0;
+  let undoing = false;
+  const commit = (location, replace) => {
+    if (!replace) index++;
+    window.history[replace ? "replaceState" : "pushState"](
+      { index, state: location.state },
+      "",
+      toPath(location)
+    );
+  };
+  const onpopstate = event => {
+    // the popstate of an undo is already the current location
+    if (undoing) {
+      undoing = false;
+      return;
+    }
+    const entry = event.state;
+    const from = index;
+    if (isNumbered(entry)) index = entry.index;
+    if (history.pop(read(isNumbered(entry) ? entry.state : entry))) return;
+    index = from;
+    if (isNumbered(entry)) {
+      undoing = true;
+      window.history.go(from - entry.index);
+    }
+    // an entry pushed outside of the history cannot tell how far
+    // it is, so it is replaced with the current location instead
+    else commit(history.location(), true);
+  };
+
+  const initial = window.history.state;
+  if (isNumbered(initial)) index = initial.index;
+  else window.history.replaceState({ index, state: initial }, "");
+  const history = createHistory(
+    read(isNumbered(initial) ? initial.state : initial),
+    commit,
+    delta => window.history.go(delta),
+    () => window.removeEventListener("popstate", onpopstate)
+  );
+  window.addEventListener("popstate", onpopstate);
+  return history;
+};
+
+// a history kept in memory for tests and server rendering
+export const createMemoryHistory = (path = "/") => {
+  const entries = [parseLocation(path)];
+  let index = 0;
+  const history = createHistory(
+    entries[0],
+    (location, replace) => {
+      if (!replace) entries.splice(++index);
+      entries[index] = location;
+    },
+    delta => {
+      const next = index + delta;
+      if (next < 0 || next >= entries.length) return;
+      const prev = index;
+      index = next;
+      if (!history.pop(entries[next])) index = prev;
+    }
+  );
+  return history;
+};
+
+// a malformed escape sequence of a path never matches
+const decodePathPart = part => {
+  try {
+    return decodeURIComponent(part);
+  } catch (error) {
+    return null;
+  }
+};
+
+// match a pathname against a pattern of :params, optional :params?
+// and a trailing * capturing the rest, a prefix match allows the
+// pathname to continue after the pattern like for nested routes
+export const matchPath = (pattern, pathname, prefix = false) => {
+  const patternParts = pattern.split("/").filter(part => part);
+  const pathParts = pathname.split("/").filter(part => part);
+  const params = {};
+
+  for (let index = 0; index < patternParts.length; index++) {
+    const part = patternParts[index];
+    const value = pathParts[index];
+    if (part === "*") {
+      const rest = pathParts.slice(index).map(decodePathPart);
+      if (rest.includes(null)) return null;
+      params["*"] = rest.join("/");
+      return { params, path: `/${pathParts.join("/")}` };
+    }
+    if (part[0] === ":") {
+      const optional = part[part.length - 1] === "?";
+      const name = part.slice(1, optional ? -1 : part.length);
+      if (value === undefined && optional) continue;
+      if (value === undefined) return null;
+      params[name] = decodePathPart(value);
+      if (params[name] === null) return null;
+      continue;
+    }
+    if (part !== value) return null;
+  }
+
+  if (!prefix && pathParts.length > patternParts.length) return null;
+  return {
+    params,
+    path: `/${pathParts.slice(0, patternParts.length).join("/")}`
+  };
+};
+
+const joinPath = (base, path) => `/${base}/${path}`.replace(/\/+/g, "/");
+
+const matchRoutes = (table, base, pathname) => {
+  for (let index = 0; index < table.length; index++) {
+    const route = table[index];
+    const match = matchPath(
+      joinPath(base, route.path),
+      pathname,
+      Boolean(route.children)
+    );
+    if (match) return Object.assign({ route }, match);
+  }
+  return null;
+};
+
+const isSameMatch = (matchA, matchB) => {
+  if (!matchA || !matchB) return matchA === matchB;
+  const keys = Object.keys(matchA.params);
+  return (
+    matchA.route === matchB.route &&
+    matchA.path === matchB.path &&
+    keys.length === Object.keys(matchB.params).length &&
+    keys.every(key => matchA.params[key] === matchB.params[key])
+  );
+};
+
+const getRouter = scope => {
+  if (!scope.router) throw new Error("Cannot find a router above the routes");
+  return scope.router;
+};
+
+// a reused router scope renders its latest children
+const withRouter = (router, children) =>
+  new VScope(
+    scope => {
+      const [children$, setChildren] = createValue(children);
+      return [
+        children$,
+        Object.assign({}, scope, { router }),
+        props => setChildren(props.children)
+      ];
+    },
+    withRouter,
+    [router],
+    null,
+    { children }
+  );
+
+// render the children with the history for the routes and links beneath
+export const router = (history, children) =>
+  withRouter({ history, base: "/", params: {} }, children);
+
+// render the first route of the table that matches the location, a
+// route with children renders them through the outlet it receives
+// so the nested routes are matched after the path of their parent,
+// a reused routes scope matches the location against its latest table
+export const routes = table =>
+  new VScope(
+    scope => {
+      const { history, base, params } = getRouter(scope);
+      const [table$, setTable] = createValue(table);
+      const stream = pipe(
+        table$,
+        switchMap(table =>
+          pipe(
+            history.location$,
+            map(location => matchRoutes(table, base, location.pathname)),
+            distinct(isSameMatch),
+            map(match => {
+              if (!match) return [];
+              const router = {
+                history,
+                base: match.path,
+                params: Object.assign({}, params, match.params)
+              };
+              const outlet = match.route.children
+                ? withRouter(router, routes(match.route.children))
+                : null;
+              return match.route.render({ params: router.params, outlet });
+            })
+          )
+        )
+      );
+      return [stream, scope, props => setTable(props.table)];
+    },
+    routes,
+    [],
+    null,
+    { table }
+  );
+
+// an anchor that navigates through the history of the router,
+// a click with a modifier key or to another target is left as is,
+// a reused link renders its latest props and children
+export const link = (props, children) =>
+  new VScope(
+    scope => {
+      const { history } = getRouter(scope);
+      const [latest$, setLatest, getLatest] = createValue({ props, children });
+      const onclick = event => {
+        const { props } = getLatest();
+        if (props.onclick) props.onclick(event);
+        if (
+          event.defaultPrevented ||
+          event.button !== 0 ||
+          event.metaKey ||
+          event.altKey ||
+          event.ctrlKey ||
+          event.shiftKey ||
+          (props.target && props.target !== "_self")
+        )
+          return;
+        event.preventDefault();
+        history.push(props.href);
+      };
+      const stream = pipe(
+        latest$,
+        map(({ props, children }) => [
+          e("a", Object.assign({}, props, { onclick }), children)
+        ])
+      );
+      return [stream, scope, setLatest];
+    },
+    link,
+    [],
+    null,
+    { props, children }
+  );
+
+// the devtools are only set once enabled, the bindings
+// and the mounted trees before that are not inspected
+let devtools = null;
+
+// draw a box over an updated node for a moment
+const highlightNode = node => {
+  const element = node.nodeType === 1 ? node : node.parentNode;
+  if (!element || !element.getBoundingClientRect) return;
+  const rect = element.getBoundingClientRect();
+  const box = document.createElement("div");
+  box.style.cssText = [
+    "position: fixed",
+    "pointer-events: none",
+    "z-index: 2147483647",
+    "outline: 2px solid #e91e63",
+    `left: ${rect.left}px`,
+    `top: ${rect.top}px`,
+    `width: ${rect.width}px`,
+    `height: ${rect.height}px`
+  ].join(";");
+  document.body.appendChild(box);
+  setTimeout(() => box.parentNode && box.parentNode.removeChild(box), 300);
+};
+
+const getStreamKeys = object =>
+  Object.keys(object).filter(key => object[key] instanceof Stream);
+
+const inspectChildren = (control, vnodes, counts) => {
+  const children = [];
+  Array.from(control.spaces.keys())
+    .sort((a, b) => a - b)
+    .forEach(space => {
+      const positions = control.spaces.get(space);
+      const vnode = getSafeVNodes(vnodes)[space];
+      const bound = isStreamChild(vnode) || vnode instanceof VFragment;
+      Array.from(positions.keys())
+        .sort((a, b) => a - b)
+        .forEach(position => {
+          const child = positions.get(position);
+          if (child) children.push(inspectChild(child, bound, counts));
+        });
+    });
+  return children;
+};
+
+// a plain tree of a mounted child, bound is true for the
+// children mounted by a stream, a scope or a fragment
+const inspectChild = (child, bound, counts) => {
+  const { vnode, node } = child;
+  if (vnode instanceof VText) return { text: vnode.text, node, bound };
+  return {
+    name: vnode.name,
+    key: vnode.key,
+    node,
+    bound,
+    streams: {
+      attrs: getStreamKeys(vnode.attrs),
+      style: vnode.style instanceof Stream ? ["*"] : getStreamKeys(vnode.style),
+      classes: getStreamKeys(vnode.classes)
+    },
+    subscriptions: counts.get(node) || 0,
+    children: inspectChildren(child.control, vnode.children, counts)
+  };
+};
+
+// enable the inspection of the trees mounted from now on, the update
+// log keeps the latest emissions applied after mounting along with
+// the nodes they changed which the overlay highlights on the page
+export const enableDevtools = ({ overlay = false, limit = 1000 } = {}) => {
+  if (devtools) throw new Error("Cannot enable the devtools twice");
+  const roots = new Map(); // mounted parents to their vnodes, control and unmount
+  const bindings = new Map(); // cancellations to their sources
+  const counts = new Map(); // nodes to the count of their subscriptions
+  const log = [];
+  let entry = null; // the log entry of the update being applied
+
+  const count = (node, delta) => {
+    if (!node) return;
+    const total = (counts.get(node) || 0) + delta;
+    if (total > 0) counts.set(node, total);
+    else counts.delete(node);
+  };
+
+  const hooks = {
+    mount: (parent, vnodes, control) => {
+      const unmount = control.unmount;
+      roots.set(parent, { vnodes, control, unmount });
+      control.unmount = () => {
+        roots.delete(parent);
+        unmount();
+      };
+    },
+    bind: (cancel, source) => {
+      if (!source) return;
+      bindings.set(cancel, source);
+      count(source.node, 1);
+    },
+    unbind: cancel => {
+      if (!bindings.has(cancel)) return;
+      count(bindings.get(cancel).node, -1);
+      bindings.delete(cancel);
+    },
+    update: (source, value, apply) => {
+      entry = Object.assign({ time: Date.now(), value, nodes: [] }, source);
+      if (entry.node) entry.nodes.push(entry.node);
+      log.push(entry);
+      if (log.length > limit) log.splice(0, log.length - limit);
+      const { nodes } = entry;
+      try {
+        apply(value);
+      } finally {
+        entry = null;
+      }
+      if (overlay) nodes.forEach(highlightNode);
+    },
+    insert: node => entry && entry.nodes.push(node)
+  };
+  devtools = hooks;
+
+  const api = {
+    log,
+    roots: () => Array.from(roots.keys()),
+    inspect: parent => {
+      if (!roots.has(parent)) return null;
+      const { vnodes, control } = roots.get(parent);
+      return inspectChildren(control, vnodes, counts);
+    },
+    subscriptions: node => (node ? counts.get(node) || 0 : bindings.size),
+    // the mounted trees are left as if they were never inspected
+    disable: () => {
+      if (devtools !== hooks) return;
+      roots.forEach(({ control, unmount }) => (control.unmount = unmount));
+      roots.clear();
+      devtools = null;
+      if (typeof window !== "undefined") delete window.__GUHIT_DEVTOOLS__;
+    }
+  };
+  if (typeof window !== "undefined") window.__GUHIT_DEVTOOLS__ = api;
+  return api;
+};
+
+const readListProps = ({
+  items$,
+  itemHeight = null,
+  estimateHeight = 40,
+  render,
+  key = null,
+  overscan = 3,
+  style = {}
+}) => ({ items$, itemHeight, estimateHeight, render, key, overscan, style });
+
+// the rows of a virtual list, see virtualList
+const connectVirtualList = (scope, initial) => {
+  let props = readListProps(initial);
+  const [source$, setSource] = createValue(props.items$);
+  const [style$, setStyle] = createValue(props.style);
+  const [rows$, setRows] = createValue([]);
+  const [total$, setTotal] = createValue(0);
+  const heights = new Map(); // measured heights by the key of the items
+  const slots = new Map(); // the slots of the rendered rows by the key of their item
+  const pool = []; // the slots left by the rows that are gone
+  const containerRef = ref();
+  const measurement = {}; // the binding of the measurement on the scheduler
+  const scrolling = {}; // the binding of the scroll on the frame scheduler
+  let observer = null;
+  let container = null;
+  let items = [];
+  let keys = [];
+  let offsets = [];
+  let indexes = new Map();
+  let range = null; // the start and the end index of the rendered rows
+  let scrollTop = 0;
+
+  const layout = () => {
+    const { key, itemHeight, estimateHeight } = props;
+    // without a key the items are their own keys unless some of
+    // them are the same, then the items are keyed by their index
+    const unique = !key && new Set(items).size === items.length;
+    let top = 0;
+    keys = items.map((item, index) =>
+      key ? key(item, index) : unique ? item : index
+    );
+    offsets = [];
+    indexes = new Map();
+    keys.forEach((itemKey, index) => {
+      offsets.push(top);
+      indexes.set(itemKey, index);
+      top += itemHeight || heights.get(itemKey) || estimateHeight;
+    });
+    // the heights of the items that are gone are not needed anymore
+    heights.forEach((_, itemKey) => {
+      if (!indexes.has(itemKey)) heights.delete(itemKey);
+    });
+    setTotal(top);
+  };
+
+  // the index of the item at the top
+  const findIndex = top => {
+    let low = 0;
+    let high = offsets.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (offsets[middle] <= top) low = middle;
+      else high = middle - 1;
+    }
+    return low;
+  };
+
+  const measure = () => {
+    if (!container) return;
+    const changes = [];
+    Array.from(container.firstChild.children).forEach(row => {
+      const index = Number(row.getAttribute("data-index"));
+      const height = row.offsetHeight;
+      // a hidden or a detached row has no height to measure
+      if (index >= items.length || !height) return;
+      if (heights.get(keys[index]) !== height)
+        changes.push([keys[index], height]);
+    });
+    if (changes.length)
+      anchor(() =>
+        changes.forEach(([itemKey, height]) => heights.set(itemKey, height))
+      );
+  };
+
+  // the rows that leave the window give their slot to the rows that
+  // enter it, a row is keyed by its slot so the node of a row that
+  // left is moved and diffed for the item of a row that entered
+  const assignSlots = (start, end) => {
+    const visible = new Set(keys.slice(start, end));
+    slots.forEach((slot, itemKey) => {
+      if (visible.has(itemKey)) return;
+      slots.delete(itemKey);
+      pool.push(slot);
+    });
+    visible.forEach(itemKey => {
+      if (!slots.has(itemKey))
+        slots.set(itemKey, pool.length ? pool.pop() : slots.size + pool.length);
+    });
+  };
+
+  // render the rows of the window, the rows are only rendered
+  // again on a scroll when the window has a different range
+  const update = force => {
+    const { itemHeight, overscan, render } = props;
+    const viewport = container ? container.clientHeight : 0;
+    const start = Math.max(0, findIndex(scrollTop) - overscan);
+    const end = Math.min(
+      items.length,
+      findIndex(scrollTop + viewport) + 1 + overscan
+    );
+    if (!force && range && range[0] === start && range[1] === end) return;
+    range = [start, end];
+    assignSlots(start, end);
+    const rows = [];
+    for (let index = start; index < end; index++)
+      rows.push(
+        e(
+          "div",
+          {
+            key: slots.get(keys[index]),
+            "data-index": index,
+            style: {
+              position: "absolute",
+              left: 0,
+              right: 0,
+              transform: `translateY(${offsets[index]}px)`
+            }
+          },
+          render(items[index], index)
+        )
+      );
+    setRows(rows);
+    if (itemHeight || !container) return;
+    // measure after the rows above are applied
+    scope.scheduler.cancel(measurement);
+    scope.scheduler.schedule(measurement, measure);
+  };
+
+  // keep the first visible item at the same place while the offsets
+  // change, the top of the list stays at the top on an insertion
+  const anchor = change => {
+    const index = scrollTop && items.length ? findIndex(scrollTop) : -1;
+    const anchored =
+      index < 0
+        ? null
+        : { key: keys[index], delta: scrollTop - offsets[index] };
+    change();
+    layout();
+    if (anchored && container && indexes.has(anchored.key)) {
+      const top = offsets[indexes.get(anchored.key)] + anchored.delta;
+      if (top !== scrollTop) container.scrollTop = scrollTop = top;
+    }
+    update(true);
+  };
+
+  // the scroll events of a frame are applied once
+  const onscroll = {
+    handler: () =>
+      frameScheduler.schedule(scrolling, () => {
+        if (!container) return;
+        scrollTop = container.scrollTop;
+        update(false);
+      }),
+    passive: true
+  };
+
+  const attach = node => {
+    container = node;
+    update(true);
+    if (typeof ResizeObserver === "function") {
+      // the first observation comes once the container is laid out
+      observer = new ResizeObserver(() => container && update(true));
+      observer.observe(container);
+    } else nextFrame(() => container === node && update(true));
+  };
+
+  const detach = () => {
+    if (observer) observer.disconnect();
+    observer = null;
+    container = null;
+    frameScheduler.cancel(scrolling);
+    scope.scheduler.cancel(measurement);
+  };
+
+  const stream = create((open, next, fail, done, talkback) => {
+    const refCancel = CancelInterceptor.join(empty());
+    const itemsCancel = CancelInterceptor.join(empty());
+    open();
+
+    pipe(
+      talkback,
+      filter(payload => payload === Stream.CANCEL),
+      listen(() => {
+        refCancel.run();
+        itemsCancel.run();
+        detach();
+        done(true);
+      })
+    );
+
+    pipe(
+      containerRef.subject,
+      listen(([node, inserted]) => {
+        if (inserted) attach(node);
+        else detach();
+      }, refCancel)
+    );
+
+    pipe(
+      source$,
+      switchMap(items$ => items$),
+      listen(
+        { next: latest => anchor(() => (items = latest || [])), fail },
+        itemsCancel
+      )
+    );
+
+    next([
+      e(
+        "div",
+        {
+          ref: containerRef,
+          style: pipe(
+            style$,
+            map(style =>
+              Object.assign({ overflow: "auto", position: "relative" }, style)
+            )
+          ),
+          onscroll
+        },
+        [e("div", { style: { position: "relative", height: total$ } }, [rows$])]
+      )
+    ]);
+  });
+
+  // a reused list switches to its latest items stream and renders
+  // the rows of the window again with its latest props
+  const updateProps = latest => {
+    const { items$ } = props;
+    props = readListProps(latest);
+    setStyle(props.style);
+    if (props.items$ !== items$) setSource(props.items$);
+    else anchor(() => {});
+  };
+
+  return [stream, scope, updateProps];
+};
+
+// render only the rows of the items inside of the visible window of a
+// scrolling container, the rows are positioned over a spacer as tall
+// as every item and the rows that stay in the window keep their nodes
+// as it moves while the nodes of the rows that leave it are recycled
+// for the rows that enter it, the heights of the rows are measured
+// after mounting unless an itemHeight is given and the first visible
+// item is kept in place while the items or the heights above it
+// change, a resize observer lays the rows out again once the
+// container is attached and whenever it is resized
+export const virtualList = props =>
+  new VScope(
+    scope => connectVirtualList(scope, props),
+    virtualList,
+    [],
+    null,
+    props
+  );
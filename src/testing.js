@@ -0,0 +1,261 @@
+import { create, filter, listen, pipe, Stream } from "agos";
+import { mount } from "./index";
+
+// the trees rendered since the last cleanup
+const rendered = [];
+
+// the clocks created since the last cleanup
+const clocks = [];
+
+const matchText = (text, matcher) =>
+  matcher instanceof RegExp
+    ? matcher.test(text)
+    : text.replace(/\s+/g, " ").trim() === matcher;
+
+// the deepest elements whose text matches, so the
+// ancestors of a matching element are left out
+export const queryAllByText = (container, matcher) =>
+  Array.from(container.querySelectorAll("*")).filter(
+    node =>
+      matchText(node.textContent, matcher) &&
+      !Array.from(node.children).some(child =>
+        matchText(child.textContent, matcher)
+      )
+  );
+
+const INPUT_ROLES = {
+  button: "button",
+  checkbox: "checkbox",
+  radio: "radio",
+  range: "slider",
+  reset: "button",
+  submit: "button",
+  search: "searchbox"
+};
+
+const IMPLICIT_ROLES = {
+  a: node => (node.hasAttribute("href") ? "link" : null),
+  button: () => "button",
+  dialog: () => "dialog",
+  form: () => "form",
+  h1: () => "heading",
+  h2: () => "heading",
+  h3: () => "heading",
+  h4: () => "heading",
+  h5: () => "heading",
+  h6: () => "heading",
+  img: () => "img",
+  input: node => INPUT_ROLES[node.type] || "textbox",
+  li: () => "listitem",
+  main: () => "main",
+  nav: () => "navigation",
+  ol: () => "list",
+  select: () => "combobox",
+  table: () => "table",
+  td: () => "cell",
+  textarea: () => "textbox",
+  th: () => "columnheader",
+  tr: () => "row",
+  ul: () => "list"
+};
+
+const getRole = node => {
+  if (node.hasAttribute("role")) return node.getAttribute("role");
+  const role = IMPLICIT_ROLES[node.tagName.toLowerCase()];
+  return role ? role(node) : null;
+};
+
+export const queryAllByRole = (container, role) =>
+  Array.from(container.querySelectorAll("*")).filter(
+    node => getRole(node) === role
+  );
+
+export const queryAllByAttribute = (container, name, value) =>
+  Array.from(container.querySelectorAll("*")).filter(
+    node =>
+      node.hasAttribute(name) &&
+      (value === undefined || node.getAttribute(name) === `${value}`)
+  );
+
+// a get query expects exactly a single node
+const getSingle = (nodes, description) => {
+  if (nodes.length === 1) return nodes[0];
+  throw new Error(
+    nodes.length
+      ? `Found ${nodes.length} nodes by ${description}`
+      : `Cannot find a node by ${description}`
+  );
+};
+
+export const getByText = (container, matcher) =>
+  getSingle(queryAllByText(container, matcher), `the text ${matcher}`);
+
+export const getByRole = (container, role) =>
+  getSingle(queryAllByRole(container, role), `the role ${role}`);
+
+export const getByAttribute = (container, name, value) =>
+  getSingle(
+    queryAllByAttribute(container, name, value),
+    value === undefined ? `the attribute ${name}` : `${name}="${value}"`
+  );
+
+// render vnodes into a detached container, the mount control
+// is returned along with the queries bound to the container
+export const render = (vnodes, options) => {
+  const container = document.createElement("div");
+  const control = mount(container, vnodes, options);
+  rendered.push({ container, control });
+  return Object.assign(control, {
+    container,
+    queryAllByText: matcher => queryAllByText(container, matcher),
+    getByText: matcher => getByText(container, matcher),
+    queryAllByRole: role => queryAllByRole(container, role),
+    getByRole: role => getByRole(container, role),
+    queryAllByAttribute: (name, value) =>
+      queryAllByAttribute(container, name, value),
+    getByAttribute: (name, value) => getByAttribute(container, name, value)
+  });
+};
+
+const NON_BUBBLING_EVENTS = new Set([
+  "blur",
+  "focus",
+  "load",
+  "mouseenter",
+  "mouseleave",
+  "pointerenter",
+  "pointerleave",
+  "scroll"
+]);
+
+const getEventConstructor = (view, type) => {
+  if (/^(click|dblclick|contextmenu|mouse)/.test(type)) return view.MouseEvent;
+  if (/^key/.test(type)) return view.KeyboardEvent;
+  if (/^(focus|blur)/.test(type)) return view.FocusEvent;
+  return view.Event;
+};
+
+// dispatch an event on the node so that it reaches the handlers of
+// the elements directly or through the delegated listener of the
+// root, the target of the init is assigned on the node beforehand
+// like the value of an input before its input event
+export const fireEvent = (node, type, init = {}) => {
+  const eventInit = Object.assign({}, init);
+  delete eventInit.target;
+  if (init.target) Object.assign(node, init.target);
+  const view = node.ownerDocument.defaultView;
+  const EventConstructor = getEventConstructor(view, type) || view.Event;
+  const event = new EventConstructor(
+    type,
+    Object.assign(
+      { bubbles: !NON_BUBBLING_EVENTS.has(type), cancelable: true },
+      eventInit
+    )
+  );
+  return node.dispatchEvent(event);
+};
+
+// a clock of virtual time, its streams only emit when the time is
+// advanced so the emissions happen on a deterministic order, the
+// streams still listened are reported as leaks on cleanup
+export const createClock = () => {
+  let now = 0;
+  let order = 0;
+  const tasks = [];
+  const active = new Set(); // the streams that are being listened
+
+  const schedule = (time, run) => {
+    const task = { time, order: order++, run, cancelled: false };
+    tasks.push(task);
+    return task;
+  };
+
+  const virtual = subscribe =>
+    create((open, next, fail, done, talkback) => {
+      const handle = {};
+      const complete = () => {
+        if (!active.has(handle)) return;
+        active.delete(handle);
+        done(true);
+      };
+      open();
+      active.add(handle);
+      const stop = subscribe(next, complete);
+      pipe(
+        talkback,
+        filter(payload => payload === Stream.CANCEL),
+        listen(() => {
+          stop();
+          complete();
+        })
+      );
+    });
+
+  const clock = {
+    now: () => now,
+    // run the tasks due until the time advanced by the duration
+    advance: duration => {
+      const end = now + duration;
+      while (true) {
+        const due = tasks
+          .filter(task => !task.cancelled && task.time <= end)
+          .sort((a, b) => a.time - b.time || a.order - b.order)[0];
+        if (!due) break;
+        tasks.splice(tasks.indexOf(due), 1);
+        now = due.time;
+        due.run();
+      }
+      now = end;
+      tasks.splice(0, tasks.length, ...tasks.filter(task => !task.cancelled));
+    },
+    // emits the count of the periods passed since listening
+    interval: period =>
+      virtual(next => {
+        let count = 0;
+        let task = null;
+        const tick = () => {
+          task = schedule(now + period, () => {
+            next(count++);
+            tick();
+          });
+        };
+        tick();
+        return () => (task.cancelled = true);
+      }),
+    // emits every [delay, value] after its delay since listening
+    timeline: events =>
+      virtual((next, complete) => {
+        const last = Math.max(0, ...events.map(([delay]) => delay));
+        const scheduled = events.map(([delay, value]) =>
+          schedule(now + delay, () => next(value))
+        );
+        scheduled.push(schedule(now + last, complete));
+        return () => scheduled.forEach(task => (task.cancelled = true));
+      }),
+    active: () => active.size
+  };
+  clocks.push(clock);
+  return clock;
+};
+
+// unmount every rendered tree and throw when a node, a stream
+// binding or a virtual time stream is left behind
+export const cleanup = () => {
+  const leaks = [];
+  rendered.splice(0).forEach(({ container, control }) => {
+    control.unmount();
+    if (container.childNodes.length)
+      leaks.push(`${container.childNodes.length} nodes are left mounted`);
+    if (control.subscriptions())
+      leaks.push(`${control.subscriptions()} stream bindings are listened`);
+  });
+  clocks.splice(0).forEach(clock => {
+    if (clock.active())
+      leaks.push(`${clock.active()} virtual time streams are listened`);
+  });
+  if (leaks.length)
+    throw new Error(`Leaks after unmounting:\n${leaks.join("\n")}`);
+};
+
+// clean up after every test when the test runner has afterEach
+if (typeof afterEach === "function") afterEach(cleanup);
@@ -0,0 +1,127 @@
+/**
+ * @jest-environment jsdom-sixteen
+ */
+import { create, filter, listen, map, pipe, Stream } from "agos";
+import { component, createState, defineElement, e, t } from "../src";
+
+// custom elements are only in the jsdom of this environment
+describe("defineElement", () => {
+  let active = 0;
+  const [count$, setCount] = createState(0);
+  const probed = create((open, next, fail, done, talkback) => {
+    active++;
+    open();
+    pipe(
+      talkback,
+      filter(payload => payload === Stream.CANCEL),
+      listen(() => {
+        active--;
+        done(true);
+      })
+    );
+    next([]);
+  });
+
+  const Greeting = component((_, { labelText, name, dispatch }) => {
+    dispatch("count", count$, { bubbles: false });
+    return [
+      e("p", {}, [
+        probed,
+        pipe(
+          labelText,
+          map(text => [t(text || "")])
+        ),
+        " ",
+        pipe(
+          name,
+          map(name => [t(name || "nobody")])
+        )
+      ])
+    ];
+  });
+
+  defineElement("x-greeting", Greeting, {
+    observedAttributes: ["label-text"],
+    properties: ["name"]
+  });
+  defineElement("x-shadow-greeting", Greeting, {
+    observedAttributes: ["label-text"],
+    properties: ["name"],
+    shadow: true
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  it("renders the attributes and the properties as streams", () => {
+    const element = document.createElement("x-greeting");
+    element.setAttribute("label-text", "Hello");
+    expect(element.innerHTML).toBe("");
+
+    document.body.appendChild(element);
+    expect(element.innerHTML).toBe("<p>Hello nobody</p>");
+
+    element.name = "Ann";
+    element.setAttribute("label-text", "Hi");
+    expect(element.name).toBe("Ann");
+    expect(element.textContent).toBe("Hi Ann");
+
+    element.removeAttribute("label-text");
+    expect(element.textContent).toBe(" Ann");
+  });
+
+  it("keeps a property set before the element was upgraded", () => {
+    const element = document.createElement("x-late");
+    element.name = "Bo";
+    document.body.appendChild(element);
+
+    defineElement("x-late", Greeting, {
+      observedAttributes: ["label-text"],
+      properties: ["name"]
+    });
+    expect(element.textContent).toBe(" Bo");
+    element.name = "Cy";
+    expect(element.textContent).toBe(" Cy");
+  });
+
+  it("renders into the shadow root", () => {
+    const element = document.createElement("x-shadow-greeting");
+    element.name = "Di";
+    document.body.appendChild(element);
+    expect(element.innerHTML).toBe("");
+    expect(element.shadowRoot.textContent).toBe(" Di");
+  });
+
+  it("unmounts the tree once disconnected and mounts it again", () => {
+    const element = document.createElement("x-greeting");
+    document.body.appendChild(element);
+    expect(active).toBe(1);
+
+    element.remove();
+    expect(active).toBe(0);
+    expect(element.innerHTML).toBe("");
+
+    element.name = "Ed";
+    document.body.appendChild(element);
+    expect(active).toBe(1);
+    expect(element.textContent).toBe(" Ed");
+  });
+
+  it("dispatches the values of a stream as custom events", () => {
+    const element = document.createElement("x-greeting");
+    const details = [];
+    element.addEventListener("count", event =>
+      details.push([event.detail, event.bubbles])
+    );
+    document.body.appendChild(element);
+
+    setCount(1);
+    element.remove();
+    setCount(2);
+    expect(details).toEqual([
+      [0, false],
+      [1, false]
+    ]);
+  });
+});
@@ -1,5 +1,1907 @@
-describe("index", () => {
-  it("should work", () => {
-    expect(true).toEqual(true);
+import { create, emitter, filter, listen, map, pipe, Stream } from "agos";
+import {
+  createScheduler,
+  component,
+  createCssCollector,
+  createState,
+  createStore,
+  css,
+  e,
+  enableDevtools,
+  errorBoundary,
+  extractCss,
+  frameScheduler,
+  Fragment,
+  fromPromise,
+  fromRef,
+  createBrowserHistory,
+  createMemoryHistory,
+  html,
+  hydrate,
+  keyed,
+  lazy,
+  link,
+  matchPath,
+  microtaskScheduler,
+  mount,
+  portal,
+  provide,
+  ref,
+  router,
+  routes,
+  renderToString,
+  renderToStringAsync,
+  suspense,
+  t,
+  virtualList
+} from "../src";
+
+// streams that count their listeners, a stream is active until
+// every listener cancels it, a listened stream counts even if
+// its emissions are shared by the operators in between
+const createProbe = () => {
+  let active = 0;
+  const listened = new Set();
+  const stream = value => {
+    const probed = create((open, next, fail, done, talkback) => {
+      active++;
+      listened.add(probed);
+      open();
+      pipe(
+        talkback,
+        filter(payload => payload === Stream.CANCEL),
+        listen(() => {
+          active--;
+          done(true);
+        })
+      );
+      next(value);
+    });
+    return probed;
+  };
+  return { stream, active: () => active, listened: () => listened.size };
+};
+
+// the emissions of a ref, its end is recorded as "done"
+const recordRef = target => {
+  const events = [];
+  pipe(
+    fromRef(target),
+    listen({
+      next: event => events.push(event),
+      done: () => events.push("done")
+    })
+  );
+  return events;
+};
+
+// nested elements with attr, style and child streams and refs
+const createTree = probe => {
+  const outer = ref();
+  const inner = ref();
+  const vnode = e(
+    "div",
+    {
+      id: probe.stream("outer"),
+      style: { color: probe.stream("red") },
+      ref: outer
+    },
+    [
+      e("section", {}, [
+        probe.stream([t("deep")]),
+        e("span", { title: probe.stream("inner"), ref: inner }, ["text"])
+      ])
+    ]
+  );
+  return { vnode, refs: [recordRef(outer), recordRef(inner)] };
+};
+
+const expectTornDown = (probe, refs) => {
+  expect(probe.active()).toBe(0);
+  refs.forEach(events => {
+    expect(events).toHaveLength(3);
+    expect(events[0]).toEqual([expect.anything(), true]);
+    expect(events[1]).toEqual([events[0][0], false]);
+    expect(events[2]).toBe("done");
+  });
+};
+
+describe("teardown", () => {
+  let root;
+
+  beforeEach(() => {
+    root = document.createElement("div");
+  });
+
+  it("cancels the nested streams and ends the refs on remove", () => {
+    const probe = createProbe();
+    const [control, children$] = emitter();
+    const { vnode, refs } = createTree(probe);
+    mount(root, [children$]);
+    control.open();
+
+    control.next([vnode]);
+    expect(probe.listened()).toBe(4);
+    expect(root.querySelector("span").title).toBe("inner");
+
+    control.next([]);
+    expect(root.innerHTML).toBe("");
+    expectTornDown(probe, refs);
+  });
+
+  it("cancels the nested streams and ends the refs on replace", () => {
+    const probe = createProbe();
+    const [control, children$] = emitter();
+    const { vnode, refs } = createTree(probe);
+    mount(root, [children$]);
+    control.open();
+
+    control.next([vnode]);
+    expect(probe.listened()).toBe(4);
+
+    control.next([e("p", {}, ["replaced"])]);
+    expect(root.innerHTML).toBe("<p>replaced</p>");
+    expectTornDown(probe, refs);
+  });
+
+  it("cancels the nested streams and ends the refs on unmount", () => {
+    const probe = createProbe();
+    const { vnode, refs } = createTree(probe);
+    const control = mount(root, [vnode]);
+    expect(probe.listened()).toBe(4);
+    expect(root.querySelector("div").style.color).toBe("red");
+
+    control.unmount();
+    expect(root.innerHTML).toBe("");
+    expectTornDown(probe, refs);
+  });
+});
+
+describe("keyed children", () => {
+  let root;
+  let control;
+  let children$;
+
+  beforeEach(() => {
+    root = document.createElement("div");
+    [control, children$] = emitter();
+    mount(root, [children$]);
+    control.open();
+  });
+
+  const row = key => e("p", { key }, [key]);
+  const render = keys => control.next(keys.map(row));
+  const getNodes = () => Array.from(root.childNodes);
+  const getTexts = () => getNodes().map(node => node.textContent);
+
+  it("moves the nodes of the reordered keys", () => {
+    render(["a", "b", "c", "d", "e"]);
+    const [a, b, c, d, e] = getNodes();
+
+    render(["e", "b", "d", "a", "c"]);
+    expect(getNodes()).toEqual([e, b, d, a, c]);
+
+    render(["c", "a", "d", "b", "e"]);
+    expect(getNodes()).toEqual([c, a, d, b, e]);
+  });
+
+  it("keeps the nodes of the keys left after filtering", () => {
+    render(["a", "b", "c", "d"]);
+    const [a, b, c, d] = getNodes();
+
+    render(["b", "d"]);
+    expect(getNodes()).toEqual([b, d]);
+
+    render(["a", "b", "c", "d"]);
+    expect(getTexts()).toEqual(["a", "b", "c", "d"]);
+    expect(getNodes()).not.toContain(a);
+    expect(getNodes()[1]).toBe(b);
+    expect(getNodes()).not.toContain(c);
+    expect(getNodes()[3]).toBe(d);
+  });
+
+  it("inserts the new keys at the front", () => {
+    render(["c", "d"]);
+    const [c, d] = getNodes();
+
+    render(["a", "b", "c", "d"]);
+    expect(getTexts()).toEqual(["a", "b", "c", "d"]);
+    expect(getNodes().slice(2)).toEqual([c, d]);
+
+    render(["z", "b", "d", "c"]);
+    expect(getTexts()).toEqual(["z", "b", "d", "c"]);
+    expect(getNodes().slice(2)).toEqual([d, c]);
+  });
+
+  it("reuses the first node of a duplicate key", () => {
+    render(["a", "b", "a"]);
+    const [a, b] = getNodes();
+
+    render(["b", "a", "a"]);
+    expect(getTexts()).toEqual(["b", "a", "a"]);
+    expect(getNodes().slice(0, 2)).toEqual([b, a]);
+
+    render(["a"]);
+    expect(getNodes()).toEqual([a]);
+  });
+
+  it("matches the keyed siblings by key and the rest by index", () => {
+    control.next([row("a"), e("hr", {}, []), row("b"), t("end")]);
+    const [a, hr, b, end] = getNodes();
+
+    control.next([row("b"), e("hr", {}, []), row("a"), t("last")]);
+    expect(getNodes()).toEqual([b, hr, a, end]);
+    expect(end.textContent).toBe("last");
+
+    control.next([e("hr", {}, []), row("b"), t("last")]);
+    expect(getTexts()).toEqual(["", "b", "last"]);
+    expect(getNodes()[0]).not.toBe(hr);
+    expect(getNodes()[1]).toBe(b);
+    expect(getNodes()).not.toContain(a);
+  });
+});
+
+describe("fragments", () => {
+  let root;
+  let control;
+  let children$;
+
+  beforeEach(() => {
+    root = document.createElement("div");
+    [control, children$] = emitter();
+    mount(root, [children$]);
+    control.open();
+  });
+
+  const getTexts = () =>
+    Array.from(root.childNodes).map(node => node.textContent);
+
+  it("mounts and diffs the nested fragments in place", () => {
+    const render = inner =>
+      control.next(["start", Fragment(["a", Fragment(inner), "b"]), "end"]);
+    render(["x", e("i", {}, ["y"])]);
+    expect(root.innerHTML).toBe("startax<i>y</i>bend");
+    const i = root.querySelector("i");
+
+    render([e("i", {}, ["z"]), "w", "v"]);
+    expect(getTexts()).toEqual(["start", "a", "z", "w", "v", "b", "end"]);
+    expect(root.querySelector("i")).not.toBe(i);
+
+    render([]);
+    expect(root.innerHTML).toBe("startabend");
+  });
+
+  it("moves the nodes of a keyed fragment along with it", () => {
+    const group = key =>
+      Fragment([e("dt", {}, [key]), e("dd", {}, [key])], key);
+    control.next([group("a"), group("b"), group("c")]);
+    const nodes = Array.from(root.childNodes);
+
+    control.next([group("c"), group("a"), group("b")]);
+    expect(getTexts()).toEqual(["c", "c", "a", "a", "b", "b"]);
+    expect(Array.from(root.childNodes)).toEqual(
+      nodes.slice(4).concat(nodes.slice(0, 4))
+    );
+
+    control.next([group("b"), e("hr", {}, []), group("c")]);
+    expect(getTexts()).toEqual(["b", "b", "", "c", "c"]);
+    expect(root.childNodes[0]).toBe(nodes[2]);
+    expect(root.childNodes[3]).toBe(nodes[4]);
+  });
+
+  it("mounts the fragments among the static children of an element", () => {
+    const [items$, setItems] = createState(["a", "b"]);
+    control.next([
+      e("ul", {}, [
+        e("li", {}, ["first"]),
+        Fragment([e("li", {}, ["x"]), e("li", {}, ["y"])]),
+        pipe(
+          items$,
+          map(items => items.map(item => Fragment([e("li", {}, [item])])))
+        ),
+        e("li", {}, ["last"])
+      ])
+    ]);
+    const ul = root.firstChild;
+    const texts = () => Array.from(ul.childNodes).map(node => node.textContent);
+    expect(texts()).toEqual(["first", "x", "y", "a", "b", "last"]);
+
+    setItems(["c"]);
+    expect(texts()).toEqual(["first", "x", "y", "c", "last"]);
+
+    // the fragment of a diffed element diffs its own children
+    const [first, x] = ul.childNodes;
+    control.next([
+      e("ul", {}, [
+        e("li", {}, ["first"]),
+        Fragment([e("li", {}, ["x"]), "z", e("li", {}, ["y"])]),
+        e("li", {}, ["last"])
+      ])
+    ]);
+    expect(root.firstChild).toBe(ul);
+    expect(texts()).toEqual(["first", "x", "z", "y", "last"]);
+    expect(Array.from(ul.childNodes).slice(0, 2)).toEqual([first, x]);
+  });
+});
+
+describe("createScheduler", () => {
+  it("keeps flushing after a task throws", () => {
+    const requests = [];
+    const scheduler = createScheduler(flush => requests.push(flush));
+    const applied = [];
+
+    scheduler.schedule("a", () => {
+      throw new Error("failed");
+    });
+    scheduler.schedule("b", () => applied.push("b"));
+    expect(requests).toHaveLength(1);
+    expect(() => requests[0]()).toThrow("failed");
+    expect(applied).toEqual(["b"]);
+
+    scheduler.schedule("c", () => applied.push("c"));
+    expect(requests).toHaveLength(2);
+    requests[1]();
+    expect(applied).toEqual(["b", "c"]);
+  });
+
+  it("reports the error of a microtask flush outside of the promise", async () => {
+    jest.useFakeTimers();
+    const applied = [];
+    microtaskScheduler.schedule("a", () => {
+      throw new Error("failed");
+    });
+    microtaskScheduler.schedule("b", () => applied.push("b"));
+
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(applied).toEqual(["b"]);
+    expect(() => jest.runOnlyPendingTimers()).toThrow("failed");
+    jest.useRealTimers();
+  });
+});
+
+describe("namespaces", () => {
+  const SVG = "http://www.w3.org/2000/svg";
+  const MATHML = "http://www.w3.org/1998/Math/MathML";
+  const XHTML = "http://www.w3.org/1999/xhtml";
+  const XLINK = "http://www.w3.org/1999/xlink";
+
+  it("creates the children of a stream inside svg and math in their namespace", () => {
+    const root = document.createElement("div");
+    const [shapes, shapes$] = emitter();
+    const [terms, terms$] = emitter();
+    mount(root, [e("svg", {}, [shapes$]), e("math", {}, [terms$])]);
+    shapes.open();
+    terms.open();
+
+    shapes.next([e("g", {}, [e("circle", { r: 5 }, [])])]);
+    terms.next([e("mi", {}, ["x"])]);
+    expect(root.querySelector("g").namespaceURI).toBe(SVG);
+    expect(root.querySelector("circle").namespaceURI).toBe(SVG);
+    expect(root.querySelector("mi").namespaceURI).toBe(MATHML);
+
+    // a stream mounted directly on an svg node
+    const svg = document.createElementNS(SVG, "svg");
+    const [rects, rects$] = emitter();
+    mount(svg, [rects$]);
+    rects.open();
+    rects.next([e("rect", {}, [])]);
+    expect(svg.firstChild.namespaceURI).toBe(SVG);
+  });
+
+  it("creates the content of a foreignObject as html", () => {
+    const root = document.createElement("div");
+    const [content, content$] = emitter();
+    mount(root, [
+      e("svg", {}, [e("foreignObject", {}, [e("p", {}, []), content$])])
+    ]);
+    content.open();
+    content.next([e("span", {}, [])]);
+
+    expect(root.querySelector("foreignObject").namespaceURI).toBe(SVG);
+    expect(root.querySelector("p").namespaceURI).toBe(XHTML);
+    expect(root.querySelector("span").namespaceURI).toBe(XHTML);
+  });
+
+  it("sets and removes the prefixed attrs on their namespace", () => {
+    const root = document.createElement("div");
+    const [href$, setHref] = createState("#a");
+    mount(root, [e("svg", {}, [e("use", { "xlink:href": href$ }, [])])]);
+    const use = root.querySelector("use");
+    expect(use.getAttributeNS(XLINK, "href")).toBe("#a");
+    expect(use.attributes[0].prefix).toBe("xlink");
+
+    setHref("#b");
+    expect(use.getAttributeNS(XLINK, "href")).toBe("#b");
+
+    setHref(null);
+    expect(use.hasAttributeNS(XLINK, "href")).toBe(false);
+    expect(use.attributes).toHaveLength(0);
+  });
+});
+
+describe("html", () => {
+  it("leaves invalid numeric entities as text", () => {
+    expect(
+      renderToString(
+        html`
+          <p>&#65;&#x42; &#99999999; &#12ab;</p>
+        `
+      )
+    ).toBe("<p>AB &amp;#99999999; &amp;#12ab;</p>");
+  });
+});
+
+describe("renderToString", () => {
+  it("escapes the texts and the attrs", () => {
+    expect(
+      renderToString([
+        e("a", { href: '/?a=1&b="2"', title: "<b>" }, ["1 < 2 & 3 > 2"])
+      ])
+    ).toBe(
+      '<a href="/?a=1&amp;b=&quot;2&quot;" title="&lt;b&gt;">1 &lt; 2 &amp; 3 &gt; 2</a>'
+    );
+  });
+
+  it("renders the void elements without closing tags or children", () => {
+    expect(
+      renderToString([
+        e("p", {}, ["a", e("br", {}, []), "b"]),
+        e("img", { src: "a.png" }, []),
+        e("input", { type: "text" }, [])
+      ])
+    ).toBe('<p>a<br>b</p><img src="a.png"><input type="text">');
+  });
+
+  it("renders the boolean attrs and leaves out the removed ones", () => {
+    expect(
+      renderToString([
+        e(
+          "input",
+          {
+            disabled: true,
+            required: false,
+            draggable: false,
+            "aria-checked": true,
+            name: null,
+            id: undefined
+          },
+          []
+        )
+      ])
+    ).toBe('<input disabled draggable="false" aria-checked="true">');
+  });
+
+  it("renders the style objects with their units", () => {
+    expect(
+      renderToString([
+        e(
+          "div",
+          {
+            style: {
+              marginTop: 10,
+              "z-index": 2,
+              opacity: 0.5,
+              width: 0,
+              "--gap": 4,
+              color: "red !important",
+              display: null,
+              float: false
+            }
+          },
+          []
+        )
+      ])
+    ).toBe(
+      '<div style="margin-top: 10px; z-index: 2; opacity: 0.5; width: 0; --gap: 4; color: red !important;"></div>'
+    );
+  });
+
+  it("renders the innerHTML as it is in place of the children", () => {
+    expect(
+      renderToString([e("div", { innerHTML: "<b>raw</b> &amp;" }, ["child"])])
+    ).toBe("<div><b>raw</b> &amp;</div>");
+  });
+
+  it("renders the value a stream emits upon listening", () => {
+    const [control, later$] = emitter();
+    control.open();
+    expect(
+      renderToString([
+        e("p", { title: createState("now")[0] }, [later$, "static"])
+      ])
+    ).toBe('<p title="now">static</p>');
+  });
+});
+
+describe("renderToStringAsync", () => {
+  it("waits for the first emission of the child, attr and style streams", async () => {
+    const [children, children$] = emitter();
+    const [title, title$] = emitter();
+    const [color, color$] = emitter();
+    const [nested, nested$] = emitter();
+    [children, title, color, nested].forEach(control => control.open());
+
+    const rendered = renderToStringAsync([
+      e("div", { title: title$, style: { color: color$ } }, [children$])
+    ]);
+    children.next([e("p", {}, [nested$])]);
+    title.next("first");
+    color.next("red");
+    await Promise.resolve();
+    nested.next("nested");
+    title.next("second");
+
+    expect(await rendered).toBe(
+      '<div title="first" style="color: red;"><p>nested</p></div>'
+    );
+  });
+});
+
+describe("styles", () => {
+  let root;
+
+  // the jsdom of this environment drops the custom properties
+  // so they are only checked on the calls that set them
+  let setProperty;
+
+  beforeEach(() => {
+    root = document.createElement("div");
+    setProperty = jest.spyOn(CSSStyleDeclaration.prototype, "setProperty");
+  });
+
+  afterEach(() => setProperty.mockRestore());
+
+  it("sets the camel and kebab cased names and the custom properties", () => {
+    mount(root, [
+      e(
+        "p",
+        {
+          style: {
+            backgroundColor: "red",
+            "border-top-style": "solid",
+            cssFloat: "left",
+            "--accent": "blue"
+          }
+        },
+        []
+      )
+    ]);
+    const { style } = root.firstChild;
+    expect(style.getPropertyValue("background-color")).toBe("red");
+    expect(style.getPropertyValue("border-top-style")).toBe("solid");
+    expect(style.getPropertyValue("float")).toBe("left");
+    expect(setProperty).toHaveBeenCalledWith("--accent", "blue");
+  });
+
+  it("adds px to the numbers of the properties with lengths", () => {
+    mount(root, [
+      e(
+        "p",
+        {
+          style: {
+            width: 10,
+            marginTop: -2,
+            height: 0,
+            opacity: 0.5,
+            zIndex: 3,
+            lineHeight: 1.5,
+            "--size": 4
+          }
+        },
+        []
+      )
+    ]);
+    const { style } = root.firstChild;
+    expect(style.width).toBe("10px");
+    expect(style.marginTop).toBe("-2px");
+    expect(style.height).toBe("0px");
+    expect(style.opacity).toBe("0.5");
+    expect(style.zIndex).toBe("3");
+    expect(style.lineHeight).toBe("1.5");
+    expect(setProperty).toHaveBeenCalledWith("--size", "4");
+  });
+
+  it("sets the important values with their priority", () => {
+    const [color$, setColor] = createState("red !important");
+    mount(root, [e("p", { style: { color: color$ } }, [])]);
+    const { style } = root.firstChild;
+    expect(style.color).toBe("red");
+    expect(style.getPropertyPriority("color")).toBe("important");
+
+    setColor("blue");
+    expect(style.color).toBe("blue");
+    expect(style.getPropertyPriority("color")).toBe("");
+  });
+
+  it("removes the keys a style stream no longer emits", () => {
+    const [style$, setStyle] = createState({ color: "red", width: 10 });
+    mount(root, [e("p", { style: style$ }, [])]);
+    const p = root.firstChild;
+    p.style.setProperty("margin", "1px");
+    expect(p.style.color).toBe("red");
+    expect(p.style.width).toBe("10px");
+
+    setStyle({ width: 20, display: "block" });
+    expect(p.style.color).toBe("");
+    expect(p.style.width).toBe("20px");
+    expect(p.style.display).toBe("block");
+    expect(p.style.margin).toBe("1px");
+
+    setStyle(null);
+    expect(p.getAttribute("style")).toBe("margin: 1px;");
+  });
+});
+
+describe("class lists", () => {
+  let root;
+  let control;
+  let children$;
+
+  beforeEach(() => {
+    root = document.createElement("div");
+    [control, children$] = emitter();
+    mount(root, [children$]);
+    control.open();
+  });
+
+  it("sets the classes of an array or an object", () => {
+    control.next([
+      e("p", { class: ["a", "b c", { d: true, e: false }, ["f"]] }, []),
+      e("p", { class: { a: true, b: 0, c: "yes" } }, [])
+    ]);
+    expect(root.innerHTML).toBe('<p class="a b c d f"></p><p class="a c"></p>');
+  });
+
+  it("toggles a class by its stream", () => {
+    const [active$, setActive] = createState(false);
+    control.next([e("p", { class: ["item", { active: active$ }] }, [])]);
+    const p = root.firstChild;
+    expect(p.className).toBe("item");
+
+    setActive(true);
+    expect(p.className).toBe("item active");
+
+    control.next([e("p", { class: ["item", { active: false }] }, [])]);
+    setActive(true);
+    expect(root.firstChild).toBe(p);
+    expect(p.className).toBe("item");
+  });
+
+  it("keeps the classes that are not listed", () => {
+    control.next([e("p", { class: ["a", { b: true }] }, [])]);
+    const p = root.firstChild;
+    p.classList.add("external");
+
+    control.next([e("p", { class: ["a", { c: true }] }, [])]);
+    expect(root.firstChild).toBe(p);
+    expect(p.className).toBe("a external c");
+
+    control.next([e("p", { class: [] }, [])]);
+    expect(p.className).toBe("external");
+  });
+
+  it("switches between a string class and a class list", () => {
+    const [on$] = createState(true);
+    control.next([e("p", { class: "a b" }, [])]);
+    const p = root.firstChild;
+
+    control.next([e("p", { class: ["c", { d: on$ }] }, [])]);
+    expect(p.className).toBe("c d");
+
+    control.next([e("p", { class: "e" }, [])]);
+    expect(p.className).toBe("e");
+
+    control.next([e("p", {}, [])]);
+    expect(root.firstChild).toBe(p);
+    expect(p.hasAttribute("class")).toBe(false);
+  });
+});
+
+describe("events", () => {
+  let root;
+
+  beforeEach(() => {
+    root = document.createElement("div");
+  });
+
+  it("dispatches a delegated event along the path with its currentTarget", () => {
+    const calls = [];
+    const handler = name => event =>
+      calls.push([name, event.currentTarget.nodeName, event.target.nodeName]);
+    mount(root, [
+      e("section", { onclick: handler("section") }, [
+        e("p", { onclick: handler("p") }, [e("b", {}, ["text"])])
+      ])
+    ]);
+
+    root.querySelector("b").click();
+    expect(calls).toEqual([
+      ["p", "P", "B"],
+      ["section", "SECTION", "B"]
+    ]);
+  });
+
+  it("stops the delegated ancestors once the propagation is stopped", () => {
+    const calls = [];
+    const outer = jest.fn();
+    document.createElement("main").appendChild(root);
+    root.parentNode.addEventListener("click", outer);
+    mount(root, [
+      e("section", { onclick: () => calls.push("section") }, [
+        e(
+          "p",
+          {
+            onclick: event => {
+              calls.push("p");
+              event.stopPropagation();
+            }
+          },
+          []
+        )
+      ])
+    ]);
+
+    root.querySelector("p").click();
+    expect(calls).toEqual(["p"]);
+    expect(outer).toHaveBeenCalledTimes(0);
+  });
+
+  it("listens on the node with the capture and once options", () => {
+    const calls = [];
+    mount(root, [
+      e(
+        "section",
+        {
+          onclick: { handler: () => calls.push("capture"), capture: true }
+        },
+        [
+          e(
+            "p",
+            { onclick: { handler: () => calls.push("once"), once: true } },
+            []
+          )
+        ]
+      )
+    ]);
+
+    const p = root.querySelector("p");
+    p.click();
+    p.click();
+    expect(calls).toEqual(["capture", "once", "capture"]);
+  });
+
+  it("removes a listener with the options it was added with", () => {
+    const [control, children$] = emitter();
+    mount(root, [children$]);
+    control.open();
+    const handler = () => {};
+    control.next([e("p", { onclick: { handler, capture: true } }, [])]);
+    const p = root.firstChild;
+    const remove = jest.spyOn(p, "removeEventListener");
+
+    control.next([]);
+    expect(remove).toHaveBeenCalledWith("click", expect.any(Function), {
+      capture: true,
+      passive: false,
+      once: false
+    });
+    const clicked = jest.fn();
+    control.next([
+      e("p", { onclick: { handler: clicked, capture: true } }, [])
+    ]);
+    p.click();
+    expect(clicked).not.toHaveBeenCalled();
+  });
+});
+
+describe("css", () => {
+  const getRules = () =>
+    document.querySelector("style[data-guhit]").textContent;
+
+  it("extracts the css of the classes rendered with a collector", async () => {
+    const [color$] = createState("red");
+    const [first, second] = [css({ padding: 8 }), css({ color: color$ })];
+    const [firstName] = Object.keys(first);
+    const [secondName] = Object.keys(second);
+    const [firstCss, secondCss] = [createCssCollector(), createCssCollector()];
+    const [control, children$] = emitter();
+    control.open();
+
+    // the renders of two requests overlap
+    const rendered = renderToStringAsync(
+      [children$, e("p", { class: [first] }, [])],
+      {
+        css: firstCss
+      }
+    );
+    expect(
+      renderToString([e("p", { class: [second] }, [])], { css: secondCss })
+    ).toBe(`<p class="${secondName}"></p>`);
+    control.next([]);
+    await rendered;
+
+    expect(extractCss(firstCss)).toBe(`.${firstName}{padding:8px}`);
+    expect(extractCss(secondCss)).toBe(
+      `:root{--${secondName}-0:red}\n.${secondName}{color:var(--${secondName}-0)}`
+    );
+    expect(extractCss(firstCss)).toBe("");
+  });
+
+  it("mounts the rules of a class with streams again after dropping them", async () => {
+    const [control, color$] = emitter();
+    const button = css({ color: color$ });
+    const [name] = Object.keys(button);
+    const root = document.createElement("div");
+
+    mount(root, [e("button", { class: [button] }, [])]).unmount();
+    await Promise.resolve();
+    expect(getRules()).not.toContain(name);
+
+    mount(root, [e("button", { class: [button] }, [])]);
+    control.open();
+    control.next("red");
+    expect(root.firstChild.className).toBe(name);
+    expect(getRules()).toContain(`.${name}{color:var(--${name}-0)}`);
+  });
+});
+
+describe("createState", () => {
+  it("sets a value or the result of an updater", () => {
+    const [count$, setCount] = createState(1);
+    const values = [];
+    pipe(
+      count$,
+      listen(value => values.push(value))
+    );
+
+    setCount(count => count + 1);
+    setCount(5);
+    setCount(5);
+    setCount(count => count * 2);
+    expect(values).toEqual([1, 2, 5, 10]);
+  });
+});
+
+describe("createStore", () => {
+  const reducer = (state, action) =>
+    action.type === "add" ? { count: state.count + action.by } : state;
+
+  const record = stream => {
+    const values = [];
+    pipe(
+      stream,
+      listen(value => values.push(value))
+    );
+    return values;
+  };
+
+  it("computes a selection once per state and emits its distinct values", () => {
+    const store = createStore(reducer, { count: 0 });
+    const selector = jest.fn(state => state.count > 1);
+    const selection$ = store.select(selector);
+    expect(store.select(selector)).toBe(selection$);
+
+    const first = record(selection$);
+    const second = record(selection$);
+    store.dispatch({ type: "add", by: 1 });
+    store.dispatch({ type: "noop" });
+    store.dispatch({ type: "add", by: 1 });
+    expect(first).toEqual([false, true]);
+    expect(second).toEqual([false, true]);
+    expect(selector).toHaveBeenCalledTimes(3);
+  });
+
+  it("runs the middleware in order around the reducer", () => {
+    const calls = [];
+    const trace = name => store => next => action => {
+      calls.push(`${name} before ${store.getState().count}`);
+      const result = next(action);
+      calls.push(`${name} after ${store.getState().count}`);
+      return result;
+    };
+    const store = createStore(
+      reducer,
+      { count: 0 },
+      {
+        middleware: [trace("a"), trace("b")]
+      }
+    );
+
+    expect(store.dispatch({ type: "add", by: 2 })).toEqual({
+      type: "add",
+      by: 2
+    });
+    expect(calls).toEqual([
+      "a before 0",
+      "b before 0",
+      "b after 2",
+      "a after 2"
+    ]);
+  });
+
+  it("fails a dispatch while the middleware is being set up", () => {
+    const eager = store => {
+      store.dispatch({ type: "add", by: 1 });
+      return next => next;
+    };
+    expect(() =>
+      createStore(reducer, { count: 0 }, { middleware: [eager] })
+    ).toThrow("Cannot dispatch while the middleware is being set up");
+  });
+
+  it("travels to a logged state and drops the later ones on dispatch", () => {
+    const store = createStore(reducer, { count: 0 });
+    const counts = record(
+      pipe(
+        store.state$,
+        map(state => state.count)
+      )
+    );
+    [1, 2, 3].forEach(by => store.dispatch({ type: "add", by }));
+    expect(store.log.map(({ state }) => state.count)).toEqual([1, 3, 6]);
+
+    store.travel(0);
+    store.travel(-1);
+    store.travel(1);
+    expect(store.getState()).toEqual({ count: 3 });
+
+    store.dispatch({ type: "add", by: 10 });
+    expect(store.log.map(({ state }) => state.count)).toEqual([1, 3, 13]);
+    expect(counts).toEqual([0, 1, 3, 6, 1, 0, 3, 13]);
+  });
+});
+
+// the history of jsdom moves on a timer, the promise resolves once
+// the history has handled a number of popstate events
+const waitForPopState = (count = 1) =>
+  new Promise(resolve => {
+    const onpopstate = () => {
+      if (--count) return;
+      window.removeEventListener("popstate", onpopstate);
+      resolve();
+    };
+    window.addEventListener("popstate", onpopstate);
+  });
+
+describe("routing", () => {
+  afterEach(() => {
+    window.history.replaceState(null, "", "/");
+  });
+
+  it("does not match a path with a malformed escape sequence", () => {
+    expect(matchPath("/users/:id", "/users/%E0%A4%A")).toBe(null);
+    expect(matchPath("/files/*", "/files/a/%E0%A4%A")).toBe(null);
+    expect(matchPath("/users/:id", "/users/a%20b")).toEqual({
+      params: { id: "a b" },
+      path: "/users/a%20b"
+    });
+  });
+
+  it("stops listening to popstate once disposed", () => {
+    const history = createBrowserHistory();
+    const locations = [];
+    pipe(
+      history.location$,
+      listen(location => locations.push(location.pathname))
+    );
+
+    window.history.pushState(null, "", "/next");
+    window.dispatchEvent(new PopStateEvent("popstate", { state: null }));
+    history.dispose();
+    window.history.pushState(null, "", "/after");
+    window.dispatchEvent(new PopStateEvent("popstate", { state: null }));
+
+    expect(locations).toEqual(["/", "/next"]);
+  });
+
+  it("goes back to where it was when a guard blocks going back", async () => {
+    const history = createBrowserHistory();
+    history.push("/a");
+    history.push("/b");
+    const length = window.history.length;
+    const release = history.guard(to => to.pathname !== "/a");
+
+    history.back();
+    // the blocked popstate and the popstate of its undo
+    await waitForPopState(2);
+    expect(window.location.pathname).toBe("/b");
+    expect(history.location().pathname).toBe("/b");
+    expect(window.history.length).toBe(length);
+
+    release();
+    history.back();
+    await waitForPopState();
+    expect(window.location.pathname).toBe("/a");
+    history.forward();
+    await waitForPopState();
+    expect(window.location.pathname).toBe("/b");
+    expect(history.location().pathname).toBe("/b");
+    history.dispose();
+  });
+
+  it("keeps the state of the entries it pushes", async () => {
+    const history = createBrowserHistory();
+    history.push("/a", { from: "test" });
+    history.push("/b");
+    history.back();
+    await waitForPopState();
+    expect(history.location().state).toEqual({ from: "test" });
+    history.dispose();
+  });
+
+  it("keeps the routes and the links of a diffed parent", () => {
+    const history = createMemoryHistory("/users/1");
+    let mounts = 0;
+    const User = component((_, { params }) => {
+      mounts++;
+      return [e("p", {}, [t(params.id)])];
+    });
+    const [label$, setLabel] = createState("Home");
+    const root = document.createElement("div");
+    mount(root, [
+      pipe(
+        label$,
+        map(label => [
+          e("main", {}, [
+            router(history, [
+              link({ href: "/" }, [t(label)]),
+              routes([
+                {
+                  path: "/users/:id",
+                  render: ({ params }) => [User({ params })]
+                },
+                { path: "/", render: () => [t(label)] }
+              ])
+            ])
+          ])
+        ])
+      )
+    ]);
+    const anchor = root.querySelector("a");
+    expect(root.textContent).toBe("Home1");
+
+    setLabel("Start");
+    expect(root.querySelector("a")).toBe(anchor);
+    expect(root.textContent).toBe("Start1");
+    expect(mounts).toBe(1);
+
+    anchor.dispatchEvent(new MouseEvent("click", { bubbles: true, button: 0 }));
+    expect(history.location().pathname).toBe("/");
+    expect(root.textContent).toBe("StartStart");
+  });
+});
+
+describe("virtualList", () => {
+  const observers = [];
+  const descriptors = {};
+
+  // the layout is faked, an attached container is 100px tall and every
+  // attached row is 20px while the detached nodes have no height at all
+  beforeEach(() => {
+    const attached = node => document.body.contains(node);
+    ["clientHeight", "offsetHeight"].forEach(name => {
+      descriptors[name] = Object.getOwnPropertyDescriptor(
+        HTMLElement.prototype,
+        name
+      );
+    });
+    Object.defineProperty(HTMLElement.prototype, "clientHeight", {
+      configurable: true,
+      get() {
+        return attached(this) ? 100 : 0;
+      }
+    });
+    Object.defineProperty(HTMLElement.prototype, "offsetHeight", {
+      configurable: true,
+      get() {
+        return attached(this) && this.hasAttribute("data-index") ? 20 : 0;
+      }
+    });
+    window.ResizeObserver = class {
+      constructor(callback) {
+        this.callback = callback;
+        observers.push(this);
+      }
+      observe() {}
+      disconnect() {
+        observers.splice(observers.indexOf(this), 1);
+      }
+    };
+  });
+
+  afterEach(() => {
+    Object.keys(descriptors).forEach(name =>
+      descriptors[name]
+        ? Object.defineProperty(HTMLElement.prototype, name, descriptors[name])
+        : delete HTMLElement.prototype[name]
+    );
+    delete window.ResizeObserver;
+    document.body.innerHTML = "";
+  });
+
+  const items = Array.from({ length: 100 }, (_, index) => `item ${index}`);
+  const getRows = root =>
+    Array.from(root.querySelectorAll("[data-index]")).map(
+      row => row.textContent
+    );
+
+  it("lays out the rows once the container is attached", () => {
+    const [items$] = createState(items);
+    const root = document.createElement("div");
+    const control = mount(root, [
+      e("section", {}, [virtualList({ items$, render: item => [t(item)] })])
+    ]);
+    expect(getRows(root)).toHaveLength(4);
+
+    document.body.appendChild(root);
+    observers.forEach(observer => observer.callback([]));
+    expect(getRows(root)).toEqual(items.slice(0, 9));
+    expect(root.querySelector("[data-index]").parentNode.style.height).toBe(
+      `${9 * 20 + 91 * 40}px`
+    );
+
+    control.unmount();
+    expect(observers).toHaveLength(0);
+  });
+
+  it("keeps the nodes of the rows that stay in the window", () => {
+    const [items$] = createState(items);
+    const root = document.body.appendChild(document.createElement("div"));
+    const control = mount(root, [
+      virtualList({ items$, itemHeight: 20, render: item => [t(item)] })
+    ]);
+    const container = root.firstChild;
+    const kept = root.querySelector('[data-index="5"]');
+
+    container.scrollTop = 60;
+    container.dispatchEvent(new Event("scroll"));
+    container.dispatchEvent(new Event("scroll"));
+    expect(getRows(root)).toEqual(items.slice(0, 9));
+    frameScheduler.flush();
+    expect(getRows(root)).toEqual(items.slice(0, 12));
+    expect(root.querySelector('[data-index="5"]')).toBe(kept);
+
+    control.unmount();
+    expect(observers).toHaveLength(0);
+  });
+
+  it("recycles the nodes of the rows that leave the window", () => {
+    const [items$] = createState(items);
+    const root = document.body.appendChild(document.createElement("div"));
+    mount(root, [
+      virtualList({ items$, itemHeight: 20, render: item => [t(item)] })
+    ]);
+    const container = root.firstChild;
+    const rows = Array.from(root.querySelectorAll("[data-index]"));
+
+    container.scrollTop = 1000;
+    container.dispatchEvent(new Event("scroll"));
+    frameScheduler.flush();
+    expect(getRows(root)).toEqual(items.slice(47, 59));
+    rows.forEach(row => expect(container.contains(row)).toBe(true));
+  });
+
+  it("keys the same items without a key by their index", () => {
+    const [items$, setItems] = createState(["a", "a", "b"]);
+    const root = document.body.appendChild(document.createElement("div"));
+    mount(root, [virtualList({ items$, render: item => [t(item)] })]);
+    expect(getRows(root)).toEqual(["a", "a", "b"]);
+
+    setItems(["b", "a", "a", "a"]);
+    expect(getRows(root)).toEqual(["b", "a", "a", "a"]);
+  });
+
+  it("keeps its container and switches to the latest props when diffed", () => {
+    const [first$] = createState(items);
+    const [second$] = createState(["last"]);
+    const [props$, setProps] = createState({ items$: first$, label: "a" });
+    const root = document.body.appendChild(document.createElement("div"));
+    mount(root, [
+      pipe(
+        props$,
+        map(({ items$, label }) => [
+          e("section", {}, [
+            virtualList({
+              items$,
+              itemHeight: 20,
+              render: item => [t(`${label} ${item}`)],
+              style: { color: label === "a" ? "red" : "blue" }
+            })
+          ])
+        ])
+      )
+    ]);
+    const container = root.querySelector("section").firstChild;
+    container.scrollTop = 60;
+    container.dispatchEvent(new Event("scroll"));
+    frameScheduler.flush();
+
+    setProps({ items$: first$, label: "b" });
+    expect(root.querySelector("section").firstChild).toBe(container);
+    expect(container.style.color).toBe("blue");
+    expect(getRows(root)[0]).toBe("b item 0");
+    expect(getRows(root)).toHaveLength(12);
+
+    setProps({ items$: second$, label: "c" });
+    expect(root.querySelector("section").firstChild).toBe(container);
+    expect(getRows(root)).toEqual(["c last"]);
+  });
+});
+
+describe("transitions", () => {
+  let root;
+  let control;
+  let children$;
+
+  // the frames of jsdom run on its own timers which are not faked
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest
+      .spyOn(window, "requestAnimationFrame")
+      .mockImplementation(fn => setTimeout(fn, 8));
+    root = document.createElement("div");
+    [control, children$] = emitter();
+    mount(root, [children$]);
+    control.open();
+  });
+
+  afterEach(() => {
+    window.requestAnimationFrame.mockRestore();
+    jest.useRealTimers();
+  });
+
+  const getTexts = () =>
+    Array.from(root.childNodes).map(node => node.textContent);
+
+  it("runs the enter and leave classes of the transition", () => {
+    const style = { transitionDuration: "0.1s" };
+    control.next([e("p", { transition: "fade", style }, ["a"])]);
+    const p = root.firstChild;
+    expect(p.className).toBe("fade-enter fade-enter-active");
+    jest.advanceTimersByTime(16);
+    expect(p.className).toBe("fade-enter-active fade-enter-to");
+    jest.advanceTimersByTime(100);
+    expect(p.className).toBe("");
+
+    control.next([]);
+    expect(root.firstChild).toBe(p);
+    expect(p.className).toBe("fade-leave fade-leave-active");
+    jest.advanceTimersByTime(16);
+    expect(p.className).toBe("fade-leave-active fade-leave-to");
+    jest.advanceTimersByTime(99);
+    expect(root.firstChild).toBe(p);
+    jest.advanceTimersByTime(1);
+    expect(root.innerHTML).toBe("");
+  });
+
+  it("waits for the promise or the stream of a leave hook", async () => {
+    let resolve;
+    const [leaving, leaving$] = emitter();
+    const hooked = [];
+    control.next([
+      e(
+        "p",
+        {
+          transition: {
+            leave: node => {
+              hooked.push(node);
+              return new Promise(done => (resolve = done));
+            }
+          }
+        },
+        ["a"]
+      ),
+      e("p", { transition: { leave: () => leaving$ } }, ["b"])
+    ]);
+    const [a, b] = root.childNodes;
+
+    control.next([]);
+    expect(hooked).toEqual([a]);
+    jest.runAllTimers();
+    leaving.open();
+    expect(Array.from(root.childNodes)).toEqual([a, b]);
+
+    leaving.next(true);
+    expect(Array.from(root.childNodes)).toEqual([a]);
+
+    resolve();
+    await Promise.resolve();
+    expect(root.innerHTML).toBe("");
+  });
+
+  it("keeps a leaving node in place while the siblings are inserted", async () => {
+    let resolve;
+    const leave = () => new Promise(done => (resolve = done));
+    const row = (key, transition = null) => e("p", { key, transition }, [key]);
+    control.next([row("a"), row("b", { leave }), row("c")]);
+    const [a, b, c] = root.childNodes;
+
+    control.next([row("a"), row("c")]);
+    jest.runAllTimers();
+    expect(Array.from(root.childNodes)).toEqual([a, b, c]);
+
+    control.next([row("x"), row("a"), row("y"), row("c"), row("z")]);
+    expect(getTexts()).toEqual(["x", "a", "b", "y", "c", "z"]);
+
+    resolve();
+    await Promise.resolve();
+    expect(getTexts()).toEqual(["x", "a", "y", "c", "z"]);
+
+    control.next([row("c"), row("a")]);
+    expect(getTexts()).toEqual(["c", "a"]);
+    expect(Array.from(root.childNodes)).toEqual([c, a]);
+  });
+});
+
+describe("component", () => {
+  it("stays mounted when rendered again on the same args and key", () => {
+    const log = [];
+    const Item = component(({ unmounted$ }, item) => {
+      log.push(`mount ${item.id}`);
+      pipe(
+        unmounted$,
+        listen(() => log.push(`unmount ${item.id}`))
+      );
+      return [e("li", {}, [item.id])];
+    });
+    const [a, b, c] = [{ id: "a" }, { id: "b" }, { id: "c" }];
+    const [list$, setList] = createState([a, b, c]);
+    const root = document.createElement("div");
+    mount(root, [
+      pipe(
+        list$,
+        map(list => list.map(item => keyed(item.id, Item(item))))
+      )
+    ]);
+    const nodes = Array.from(root.childNodes);
+    log.splice(0);
+
+    setList([c, a, b]);
+    expect(root.textContent).toBe("cab");
+    expect(Array.from(root.childNodes)).toEqual([nodes[2], nodes[0], nodes[1]]);
+    expect(log).toEqual([]);
+
+    // plain objects are compared by their values
+    setList([c, { id: "a" }, { id: "b", done: true }]);
+    expect(root.textContent).toBe("cab");
+    expect(log.sort()).toEqual(["mount b", "unmount b"]);
+  });
+});
+
+describe("provide", () => {
+  it("sets the latest value of a reused provider on its injectors", () => {
+    let mounts = 0;
+    const Label = component(({ scope }) => {
+      mounts++;
+      return [e("span", { title: scope.inject("theme", "none") }, [])];
+    });
+    const [theme$, setTheme] = createState("light");
+    const root = document.createElement("div");
+    mount(root, [
+      pipe(
+        theme$,
+        map(theme => [e("main", {}, [provide("theme", theme, [Label()])])])
+      )
+    ]);
+    const span = root.querySelector("span");
+    expect(span.title).toBe("light");
+
+    setTheme("dark");
+    expect(root.querySelector("span")).toBe(span);
+    expect(span.title).toBe("dark");
+    expect(mounts).toBe(1);
+  });
+
+  it("provides a stream and switches to the latest one", () => {
+    const [first$, setFirst] = createState("a");
+    const [second$] = createState("b");
+    const [value$, setValue] = createState(first$);
+    const Label = component(({ scope }) => [
+      pipe(
+        scope.inject("key"),
+        map(text => [t(text)])
+      )
+    ]);
+    const root = document.createElement("div");
+    mount(root, [
+      pipe(
+        value$,
+        map(value => [provide("key", value, [e("p", {}, [Label()])])])
+      )
+    ]);
+    const p = root.firstChild;
+    expect(root.textContent).toBe("a");
+
+    setFirst("c");
+    expect(root.textContent).toBe("c");
+
+    setValue(second$);
+    expect(root.textContent).toBe("b");
+    expect(root.firstChild).toBe(p);
+  });
+});
+
+describe("portal", () => {
+  it("mounts its children into the target", () => {
+    const target = document.createElement("aside");
+    const root = document.createElement("div");
+    mount(root, [
+      e("main", {}, [portal(target, [e("p", {}, ["modal"]), "text"])])
+    ]);
+    expect(root.innerHTML).toBe("<main></main>");
+    expect(target.innerHTML).toBe("<p>modal</p>text");
+  });
+
+  it("takes no position among the siblings of its parent", () => {
+    const target = document.createElement("aside");
+    const root = document.createElement("div");
+    const [before, before$] = emitter();
+    const [after, after$] = emitter();
+    mount(root, [before$, portal(target, ["modal"]), after$, t("end")]);
+    before.open();
+    after.open();
+
+    after.next(["after"]);
+    before.next([e("b", {}, []), "before"]);
+    expect(root.innerHTML).toBe("<b></b>beforeafterend");
+
+    before.next([]);
+    after.next([e("i", {}, [])]);
+    expect(root.innerHTML).toBe("<i></i>end");
+    expect(target.innerHTML).toBe("modal");
+  });
+
+  it("is torn down with the element it is declared in", () => {
+    const probe = createProbe();
+    const target = document.createElement("aside");
+    const root = document.createElement("div");
+    const [control, children$] = emitter();
+    const node = ref();
+    const events = recordRef(node);
+    mount(root, [children$]);
+    control.open();
+
+    control.next([
+      e("section", {}, [
+        portal(target, [e("p", { title: probe.stream("a"), ref: node }, [])])
+      ])
+    ]);
+    expect(target.innerHTML).toBe('<p title="a"></p>');
+
+    control.next([]);
+    expect(target.innerHTML).toBe("");
+    expectTornDown(probe, [events]);
+  });
+});
+
+describe("fromPromise", () => {
+  const record = stream => {
+    const events = [];
+    pipe(
+      stream,
+      listen({
+        next: value => events.push(["next", value]),
+        fail: error => events.push(["fail", error.message])
+      })
+    );
+    return events;
+  };
+
+  it("emits the value of the promise or fails with its error", async () => {
+    const resolved = record(fromPromise(Promise.resolve("value")));
+    const rejected = record(fromPromise(Promise.reject(new Error("error"))));
+    expect(resolved).toEqual([]);
+
+    await new Promise(resolve => setTimeout(resolve));
+    expect(resolved).toEqual([["next", "value"]]);
+    expect(rejected).toEqual([["fail", "error"]]);
+  });
+
+  it("emits the value of a settled promise upon listening", async () => {
+    const promise = Promise.resolve("value");
+    record(fromPromise(promise));
+    await new Promise(resolve => setTimeout(resolve));
+
+    expect(record(fromPromise(promise))).toEqual([["next", "value"]]);
+  });
+});
+
+describe("suspense", () => {
+  const flushPromises = () => new Promise(resolve => setTimeout(resolve));
+  const defer = () => {
+    let resolve;
+    const promise = new Promise(done => (resolve = done));
+    return [promise, resolve];
+  };
+
+  it("shows the fallback while a promise beneath it is pending", async () => {
+    const [promise, resolve] = defer();
+    const root = document.createElement("div");
+    mount(root, [
+      suspense(e("p", {}, ["loading"]), [
+        e("h1", {}, ["title"]),
+        e("section", {}, [promise])
+      ])
+    ]);
+    expect(root.innerHTML).toBe(
+      '<h1 style="display: none;">title</h1><section style="display: none;"></section><p>loading</p>'
+    );
+
+    resolve("content");
+    await flushPromises();
+    expect(root.innerHTML).toBe("<h1>title</h1><section>content</section>");
+  });
+
+  it("shows the latest text of a text that changed while hidden", async () => {
+    const [promise, resolve] = defer();
+    const [label$, setLabel] = createState("a");
+    const root = document.createElement("div");
+    mount(root, [
+      suspense("loading", [
+        pipe(
+          label$,
+          map(label => [label])
+        ),
+        promise
+      ])
+    ]);
+    expect(root.textContent).toBe("loading");
+
+    setLabel("b");
+    expect(root.textContent).toBe("loading");
+
+    resolve("!");
+    await flushPromises();
+    expect(root.textContent).toBe("b!");
+  });
+});
+
+describe("lazy", () => {
+  it("loads the component once and renders it after loading", async () => {
+    const Title = component((_, text) => [e("h1", {}, [text])]);
+    const loader = jest.fn(() => Promise.resolve({ default: Title }));
+    const LazyTitle = lazy(loader);
+    const root = document.createElement("div");
+
+    mount(root, [suspense("loading", [LazyTitle("a"), LazyTitle("b")])]);
+    expect(root.textContent).toBe("loading");
+    await new Promise(resolve => setTimeout(resolve));
+    expect(root.innerHTML).toBe("<h1>a</h1><h1>b</h1>");
+
+    // a loaded component is rendered at once
+    mount(root, [LazyTitle("c")]);
+    expect(root.lastChild.outerHTML).toBe("<h1>c</h1>");
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("containers", () => {
+  it("keeps the subtree of a boundary, a suspense and a portal when diffed", () => {
+    const target = document.createElement("div");
+    const [count$, setCount] = createState(0);
+    const root = document.createElement("div");
+    mount(root, [
+      pipe(
+        count$,
+        map(count => [
+          errorBoundary(
+            [],
+            [e("b", {}, [`${count}`]), suspense([], [e("i", {}, [`${count}`])])]
+          ),
+          portal(target, [e("u", {}, [`${count}`])])
+        ])
+      )
+    ]);
+    const nodes = [root.querySelector("b"), root.querySelector("i")];
+    const u = target.firstChild;
+
+    setCount(1);
+    expect(root.innerHTML).toBe("<b>1</b><i>1</i>");
+    expect(target.innerHTML).toBe("<u>1</u>");
+    expect([root.querySelector("b"), root.querySelector("i")]).toEqual(nodes);
+    expect(target.firstChild).toBe(u);
+  });
+});
+
+describe("errorBoundary", () => {
+  let root;
+
+  beforeEach(() => {
+    root = document.createElement("div");
+  });
+
+  const flushPromises = () => new Promise(resolve => setTimeout(resolve));
+  const fallback = error => [e("p", {}, [`failed: ${error.message}`])];
+
+  it("renders the fallback once a child stream fails", async () => {
+    const probe = createProbe();
+    const [control, children$] = emitter();
+    mount(root, [
+      e("main", {}, [
+        errorBoundary(fallback, [
+          e("div", {}, [probe.stream(["ok"])]),
+          children$
+        ])
+      ])
+    ]);
+    control.open();
+    expect(root.textContent).toBe("ok");
+
+    control.fail(new Error("child"));
+    await flushPromises();
+    expect(root.innerHTML).toBe("<main><p>failed: child</p></main>");
+    expect(probe.active()).toBe(0);
+  });
+
+  it("renders the fallback once an attr or a style stream fails", async () => {
+    const [attr, title$] = emitter();
+    const [style, color$] = emitter();
+    mount(root, [
+      errorBoundary(fallback, [e("a", { title: title$ }, [])]),
+      errorBoundary(fallback, [e("b", { style: { color: color$ } }, [])])
+    ]);
+    attr.open();
+    style.open();
+
+    attr.fail(new Error("attr"));
+    await flushPromises();
+    expect(root.innerHTML).toBe("<p>failed: attr</p><b></b>");
+
+    style.fail(new Error("style"));
+    await flushPromises();
+    expect(root.innerHTML).toBe("<p>failed: attr</p><p>failed: style</p>");
+  });
+
+  it("renders the fallback once an event handler throws", async () => {
+    const handler = event => {
+      throw new Error(event.type);
+    };
+    mount(root, [
+      errorBoundary(fallback, [e("button", { onclick: handler }, [])]),
+      errorBoundary(fallback, [
+        e("input", { onblur: { handler, capture: true } }, [])
+      ])
+    ]);
+
+    // a delegated handler and one listened on the node itself
+    root.querySelector("button").click();
+    root.querySelector("input").dispatchEvent(new FocusEvent("blur"));
+    await flushPromises();
+    expect(root.innerHTML).toBe("<p>failed: click</p><p>failed: blur</p>");
+  });
+
+  it("mounts the children again on retry", async () => {
+    const retries = [];
+    let fails = true;
+    const child$ = create((open, next, fail) => {
+      open();
+      if (fails) fail(new Error("mount"));
+      else next([e("span", {}, ["child"])]);
+    });
+    mount(root, [
+      errorBoundary(
+        (error, retry) => {
+          retries.push(retry);
+          return [t(error.message)];
+        },
+        [child$]
+      )
+    ]);
+    await flushPromises();
+    expect(root.innerHTML).toBe("mount");
+
+    retries[0]();
+    await flushPromises();
+    expect(root.innerHTML).toBe("mount");
+
+    fails = false;
+    retries[1]();
+    await flushPromises();
+    expect(root.innerHTML).toBe("<span>child</span>");
+  });
+
+  it("fails the parent boundary when the fallback throws", async () => {
+    const [control, children$] = emitter();
+    mount(root, [
+      errorBoundary(fallback, [
+        errorBoundary(() => {
+          throw new Error("fallback");
+        }, [children$])
+      ])
+    ]);
+    control.open();
+
+    control.fail(new Error("child"));
+    await flushPromises();
+    expect(root.innerHTML).toBe("<p>failed: fallback</p>");
+  });
+});
+
+describe("devtools", () => {
+  let devtools = null;
+
+  afterEach(() => {
+    if (devtools) devtools.disable();
+    devtools = null;
+  });
+
+  it("inspects the bound streams and the subscriptions of the nodes", () => {
+    devtools = enableDevtools();
+    const [title$] = createState("a");
+    const [items$, setItems] = createState(["x"]);
+    const root = document.createElement("div");
+    const control = mount(root, [
+      e("ul", { title: title$, class: { done: title$ } }, [
+        pipe(
+          items$,
+          map(items => items.map(item => e("li", {}, [t(item)])))
+        )
+      ])
+    ]);
+    const ul = root.firstChild;
+    expect(devtools.roots()).toEqual([root]);
+
+    const [list] = devtools.inspect(root);
+    expect(list).toMatchObject({
+      name: "ul",
+      node: ul,
+      bound: false,
+      streams: { attrs: ["title"], style: [], classes: ["done"] },
+      subscriptions: 2
+    });
+    expect(list.children).toEqual([
+      expect.objectContaining({ name: "li", bound: true, subscriptions: 0 })
+    ]);
+    expect(list.children[0].children).toEqual([
+      { text: "x", node: ul.firstChild.firstChild, bound: false }
+    ]);
+    expect(devtools.subscriptions(ul)).toBe(2);
+    expect(devtools.subscriptions()).toBe(3);
+
+    setItems(["x", "y"]);
+    expect(devtools.inspect(root)[0].children.length).toBe(2);
+
+    control.unmount();
+    expect(devtools.roots()).toEqual([]);
+    expect(devtools.inspect(root)).toBe(null);
+    expect(devtools.subscriptions(ul)).toBe(0);
+    expect(devtools.subscriptions()).toBe(0);
+  });
+
+  it("logs the updates with the nodes they changed up to the limit", () => {
+    devtools = enableDevtools({ limit: 2 });
+    const [title$, setTitle] = createState("a");
+    const [items$, setItems] = createState([]);
+    const root = document.createElement("div");
+    mount(root, [
+      e("p", { title: title$ }, [
+        pipe(
+          items$,
+          map(items => items.map(item => e("b", {}, [t(item)])))
+        )
+      ])
+    ]);
+    const p = root.firstChild;
+    expect(devtools.log).toEqual([]);
+
+    setTitle("b");
+    expect(devtools.log).toEqual([
+      expect.objectContaining({
+        kind: "attr",
+        key: "title",
+        value: "b",
+        node: p,
+        nodes: [p]
+      })
+    ]);
+
+    setItems(["x"]);
+    expect(devtools.log[1].value[0].name).toBe("b");
+    expect(devtools.log[1].nodes).toContain(p.firstChild);
+
+    setTitle("c");
+    expect(devtools.log.length).toBe(2);
+    expect(devtools.log[1].value).toBe("c");
+  });
+
+  it("leaves the trees as they were once disabled", () => {
+    devtools = enableDevtools();
+    const [title$, setTitle] = createState("a");
+    const root = document.createElement("div");
+    const control = mount(root, [e("p", { title: title$ }, [])]);
+    const inspected = control.unmount;
+
+    devtools.disable();
+    expect(control.unmount).not.toBe(inspected);
+    expect(window.__GUHIT_DEVTOOLS__).toBe(undefined);
+    setTitle("b");
+    expect(devtools.log).toEqual([]);
+
+    control.unmount();
+    expect(root.innerHTML).toBe("");
+  });
+
+  it("cannot be enabled twice until disabled", () => {
+    devtools = enableDevtools();
+    expect(() => enableDevtools()).toThrow("Cannot enable the devtools twice");
+    expect(window.__GUHIT_DEVTOOLS__).toBe(devtools);
+
+    devtools.disable();
+    devtools = enableDevtools();
+    expect(window.__GUHIT_DEVTOOLS__).toBe(devtools);
+  });
+});
+
+describe("hydrate", () => {
+  it("keeps the markup of a stream child until its first emission", () => {
+    const root = document.createElement("div");
+    root.innerHTML = "<h1>Title</h1><ul><li>a</li></ul><p>footer</p>";
+    const [list, footer] = [root.querySelector("ul"), root.lastChild];
+    const [control, list$] = emitter();
+
+    const { mismatches } = hydrate(root, [
+      e("h1", {}, ["Title"]),
+      list$,
+      e("p", {}, ["footer"])
+    ]);
+    expect(root.innerHTML).toBe(
+      "<h1>Title</h1><ul><li>a</li></ul><p>footer</p>"
+    );
+
+    control.open();
+    control.next([e("ul", {}, [e("li", {}, ["a"])])]);
+    expect(root.innerHTML).toBe(
+      "<h1>Title</h1><ul><li>a</li></ul><p>footer</p>"
+    );
+    expect(root.querySelector("ul")).toBe(list);
+    expect(root.lastChild).toBe(footer);
+    expect(mismatches).toEqual([]);
+  });
+  it("reports the props that differ on the adopted elements", () => {
+    const root = document.createElement("div");
+    root.innerHTML =
+      '<p class="b a" style="color: red;" title="server" data-extra="x">text</p>' +
+      '<a href="/a" class="old">link</a><div><b>raw</b></div>';
+    const [p, a, div] = Array.from(root.childNodes);
+    const [title$] = createState("client");
+
+    const { mismatches } = hydrate(root, [
+      e("p", { class: ["a", "b"], style: { color: "red" }, title: title$ }, [
+        "text"
+      ]),
+      e("a", { href: "/a", class: { new: true } }, ["link"]),
+      e("div", { innerHTML: "<b>raw</b>" }, [])
+    ]);
+
+    expect(Array.from(root.childNodes)).toEqual([p, a, div]);
+    expect(p.title).toBe("client");
+    expect(a.className).toBe("old new");
+    expect(mismatches).toEqual([
+      { parent: root, node: p, vnode: expect.anything(), props: ["title"] },
+      { parent: root, node: a, vnode: expect.anything(), props: ["class"] }
+    ]);
+  });
+});
+
+describe("attrs", () => {
+  it("only removes the boolean attributes on false", () => {
+    const root = document.createElement("div");
+    mount(root, [
+      e(
+        "div",
+        {
+          draggable: false,
+          "data-open": false,
+          "aria-hidden": true,
+          hidden: true,
+          inert: false
+        },
+        []
+      )
+    ]);
+    expect(root.innerHTML).toBe(
+      '<div draggable="false" data-open="false" aria-hidden="true" hidden=""></div>'
+    );
   });
 });
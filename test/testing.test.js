@@ -0,0 +1,158 @@
+import { map, pipe, listen } from "agos";
+import { createState, e, mount, t } from "../src";
+import {
+  cleanup,
+  createClock,
+  fireEvent,
+  getByAttribute,
+  getByRole,
+  getByText,
+  queryAllByRole,
+  render
+} from "../src/testing";
+
+describe("render", () => {
+  it("returns the mount control with the bound queries", () => {
+    const view = render([
+      e("h1", {}, ["Title"]),
+      e("ul", {}, [e("li", {}, ["first"]), e("li", {}, ["second"])]),
+      e("a", { href: "/home", "data-id": 1 }, ["Home"])
+    ]);
+
+    expect(view.container.firstChild.nodeName).toBe("H1");
+    expect(view.getByText("Title")).toBe(view.container.firstChild);
+    expect(view.getByText(/sec/).textContent).toBe("second");
+    expect(view.getByRole("heading").textContent).toBe("Title");
+    expect(view.queryAllByRole("listitem")).toHaveLength(2);
+    expect(view.getByRole("link")).toBe(view.getByAttribute("data-id", 1));
+    expect(typeof view.unmount).toBe("function");
+  });
+
+  it("throws when a get query does not find a single node", () => {
+    const { container } = render([
+      e("li", {}, ["item"]),
+      e("li", {}, ["item"])
+    ]);
+
+    expect(() => getByText(container, "missing")).toThrow(
+      "Cannot find a node by the text missing"
+    );
+    expect(() => getByRole(container, "listitem")).toThrow(
+      "Found 2 nodes by the role listitem"
+    );
+    expect(queryAllByRole(container, "button")).toEqual([]);
+    expect(() => getByAttribute(container, "id", "x")).toThrow('id="x"');
+  });
+});
+
+describe("fireEvent", () => {
+  it("reaches a delegated handler", () => {
+    const [count$, setCount] = createState(0);
+    const view = render([
+      e("button", { onclick: () => setCount(count => count + 1) }, [
+        pipe(
+          count$,
+          map(count => [t(`Count: ${count}`)])
+        )
+      ])
+    ]);
+
+    fireEvent(view.getByRole("button"), "click");
+    fireEvent(view.getByRole("button"), "click");
+    expect(view.getByText("Count: 2")).toBe(view.getByRole("button"));
+  });
+
+  it("reaches a direct handler with the target assigned", () => {
+    const values = [];
+    const view = render(
+      [
+        e(
+          "input",
+          {
+            oninput: {
+              handler: event => values.push(event.target.value),
+              passive: true
+            }
+          },
+          []
+        ),
+        e("button", { onclick: () => values.push("click") }, ["Go"])
+      ],
+      { delegate: false }
+    );
+
+    fireEvent(view.getByRole("textbox"), "input", { target: { value: "hi" } });
+    fireEvent(view.getByRole("button"), "click");
+    expect(values).toEqual(["hi", "click"]);
+    expect(view.getByRole("textbox").value).toBe("hi");
+  });
+});
+
+describe("createClock", () => {
+  it("drives the streams by advancing the virtual time", () => {
+    const clock = createClock();
+    const view = render([
+      e("p", {}, [
+        pipe(
+          clock.interval(1000),
+          map(count => [t(`Tick ${count}`)])
+        )
+      ]),
+      e(
+        "span",
+        {
+          title: clock.timeline([
+            [500, "a"],
+            [1500, "b"]
+          ])
+        },
+        []
+      )
+    ]);
+
+    expect(view.container.textContent).toBe("");
+    clock.advance(500);
+    expect(view.getByAttribute("title", "a").nodeName).toBe("SPAN");
+    clock.advance(500);
+    expect(view.getByText("Tick 0")).toBeTruthy();
+    clock.advance(1000);
+    expect(view.getByText("Tick 1")).toBeTruthy();
+    expect(view.getByAttribute("title", "b")).toBeTruthy();
+    expect(clock.now()).toBe(2000);
+    expect(clock.active()).toBe(1);
+
+    view.unmount();
+    expect(clock.active()).toBe(0);
+  });
+});
+
+describe("cleanup", () => {
+  it("throws on the nodes left in a rendered container", () => {
+    const view = render([e("p", {}, ["kept"])]);
+    view.container.appendChild(document.createElement("p"));
+    expect(() => cleanup()).toThrow("1 nodes are left mounted");
+  });
+
+  it("throws on the virtual time streams left listened", () => {
+    const clock = createClock();
+    pipe(
+      clock.interval(100),
+      listen(() => {})
+    );
+    expect(() => cleanup()).toThrow("1 virtual time streams are listened");
+  });
+
+  it("leaves the trees mounted outside of render alone", () => {
+    const [title$] = createState("outside");
+    render([e("p", { title: title$ }, [])]);
+    const control = mount(document.createElement("div"), [
+      e("p", { title: title$ }, [])
+    ]);
+
+    expect(window.__GUHIT_DEVTOOLS__).toBeUndefined();
+    expect(() => cleanup()).not.toThrow();
+    expect(control.subscriptions()).toBe(1);
+    control.unmount();
+    expect(control.subscriptions()).toBe(0);
+  });
+});